@@ -1,6 +1,6 @@
 const express = require('express');
 const request = require('supertest');
-const { RpcEndpoint } = require('../src/index');
+const { RpcEndpoint, RpcMethodError } = require('../src/index');
 
 describe('Batch behavior', () => {
   let app;
@@ -224,4 +224,331 @@ describe('Batch behavior', () => {
     expect(res.body[0].error.data.requiredHeader).toBe('X-RPC-Safe-Enabled');
     expect(res.body[0].error.data.batchIndex).toBe(0);
   });
+
+  test('rejects batches over batch.maxSize before running any item', async () => {
+    const limitedApp = express();
+    const limitedRpc = new RpcEndpoint(
+      limitedApp,
+      {},
+      {
+        batch: { maxSize: 2 },
+      }
+    );
+    const handler = jest.fn(() => 'ok');
+    limitedRpc.addMethod('work', handler);
+    const item = (id) => ({ jsonrpc: '2.0', method: 'work', id });
+
+    const res = await request(limitedApp)
+      .post('/api')
+      .send([item(1), item(2), item(3)]);
+    const allowed = await request(limitedApp)
+      .post('/api')
+      .send([item(1), item(2)]);
+
+    expect(res.body).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: 'Invalid Request: Batch of 3 requests exceeds the limit of 2',
+        data: { size: 3, maxSize: 2 },
+      },
+    });
+    expect(allowed.body).toHaveLength(2);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(
+      () => new RpcEndpoint(express(), {}, { batch: { concurrency: 0 } })
+    ).toThrow(
+      'Invalid batch.concurrency option "0": expected a positive integer'
+    );
+  });
+
+  test('runs at most batch.concurrency items at once and keeps response order', async () => {
+    const limitedApp = express();
+    const limitedRpc = new RpcEndpoint(
+      limitedApp,
+      {},
+      {
+        batch: { concurrency: 2 },
+      }
+    );
+    let active = 0;
+    let peak = 0;
+    limitedRpc.addMethod('work', async (req, ctx, params) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => {
+        setTimeout(resolve, params.ms);
+      });
+      active -= 1;
+      return params.ms;
+    });
+    const delays = [30, 5, 20, 1, 10];
+
+    const res = await request(limitedApp)
+      .post('/api')
+      .send(
+        delays.map((ms, id) => ({
+          jsonrpc: '2.0',
+          method: 'work',
+          params: { ms },
+          id,
+        }))
+      );
+
+    expect(peak).toBe(2);
+    expect(res.body.map((item) => item.result)).toEqual(delays);
+    expect(res.body.map((item) => item.id)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  test('runs sequential batches in order and resolves $ref placeholders', async () => {
+    const seqApp = express();
+    const seqRpc = new RpcEndpoint(seqApp, {}, { safeEnabled: false });
+    const calls = [];
+    seqRpc.addMethod('orders.create', async (req, ctx, params) => {
+      await new Promise((resolve) => {
+        setTimeout(resolve, 20);
+      });
+      calls.push('create');
+      return { id: 42, customer: params.customer, total: 10n };
+    });
+    seqRpc.addMethod('orders.addItem', {
+      schema: {
+        type: 'object',
+        properties: { orderId: { type: 'number' } },
+        required: ['orderId'],
+      },
+      handler: (req, ctx, params) => {
+        calls.push('addItem');
+        return params;
+      },
+    });
+
+    const res = await request(seqApp)
+      .post('/api')
+      .set('X-RPC-Batch-Mode', 'sequential')
+      .send([
+        {
+          jsonrpc: '2.0',
+          method: 'orders.create',
+          params: { customer: 'ada' },
+          id: 'o',
+        },
+        {
+          jsonrpc: '2.0',
+          method: 'orders.addItem',
+          params: {
+            orderId: { $ref: '0.result.id' },
+            lines: [{ $ref: '0.result.customer' }, { $ref: '0.result.total' }],
+            order: { $ref: '0.result' },
+          },
+          id: 'i',
+        },
+      ]);
+
+    expect(calls).toEqual(['create', 'addItem']);
+    expect(res.body[1]).toEqual({
+      jsonrpc: '2.0',
+      id: 'i',
+      result: {
+        orderId: 42,
+        lines: ['ada', '10n'],
+        order: { id: 42, customer: 'ada', total: '10n' },
+      },
+    });
+  });
+
+  test('short-circuits items whose dependency failed', async () => {
+    const seqApp = express();
+    const seqRpc = new RpcEndpoint(
+      seqApp,
+      {},
+      {
+        safeEnabled: false,
+        batch: { mode: 'sequential' },
+      }
+    );
+    const echo = jest.fn((req, ctx, params) => params);
+    seqRpc.addMethod('echo', echo);
+    seqRpc.addMethod('fail', () => {
+      throw new Error('Out of stock');
+    });
+
+    const res = await request(seqApp)
+      .post('/api')
+      .send([
+        { jsonrpc: '2.0', method: 'fail', id: 0 },
+        {
+          jsonrpc: '2.0',
+          method: 'echo',
+          params: { a: { $ref: '0.result.id' } },
+          id: 1,
+        },
+        {
+          jsonrpc: '2.0',
+          method: 'echo',
+          params: { b: { $ref: '1.result' } },
+          id: 2,
+        },
+        {
+          jsonrpc: '2.0',
+          method: 'echo',
+          params: { c: { $ref: '4.result' } },
+          id: 3,
+        },
+        { jsonrpc: '2.0', method: 'echo', params: { d: 1 }, id: 4 },
+      ]);
+
+    expect(res.body[1].error).toEqual({
+      code: -32011,
+      message: 'Dependency failed: batch item 0 returned an error',
+      data: { ref: '0.result.id', dependsOn: 0, batchIndex: 1 },
+    });
+    expect(res.body[2].error).toMatchObject({
+      code: -32011,
+      data: { dependsOn: 1 },
+    });
+    expect(res.body[3].error).toMatchObject({
+      code: -32602,
+      message:
+        'Invalid $ref "4.result": batch item 4 does not run before item 3',
+    });
+    expect(res.body[4].result).toEqual({ d: 1 });
+    expect(echo).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves $ref untouched in parallel batches and rejects unknown modes', async () => {
+    const params = { a: { $ref: '0.result' } };
+    const res = await request(app)
+      .post('/api')
+      .send([{ jsonrpc: '2.0', method: 'echo', params, id: 1 }]);
+    const invalid = await request(app)
+      .post('/api')
+      .set('X-RPC-Batch-Mode', 'random')
+      .send([{ jsonrpc: '2.0', method: 'echo', params, id: 1 }]);
+
+    expect(res.body[0].result).toEqual(params);
+    expect(invalid.body.error).toEqual({
+      code: -32600,
+      message:
+        'Invalid Request: X-RPC-Batch-Mode must be one of parallel, sequential',
+      data: { mode: 'random' },
+    });
+  });
+
+  test('rejects batches with duplicate ids when batch.duplicateIds is reject', async () => {
+    const strictApp = express();
+    const strictRpc = new RpcEndpoint(
+      strictApp,
+      {},
+      {
+        batch: { duplicateIds: 'reject' },
+      }
+    );
+    const handler = jest.fn(() => 'ok');
+    strictRpc.addMethod('work', handler);
+    const item = (id) => ({ jsonrpc: '2.0', method: 'work', id });
+
+    const rejected = await request(strictApp)
+      .post('/api')
+      .send([item(1), item('1'), item(2), item(1), item(2), item(1)]);
+    const allowed = await request(app)
+      .post('/api')
+      .send([
+        { jsonrpc: '2.0', method: 'echo', params: { n: 1 }, id: 1 },
+        { jsonrpc: '2.0', method: 'echo', params: { n: 2 }, id: 1 },
+      ]);
+
+    expect(rejected.body).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: 'Invalid Request: Batch contains duplicate ids',
+        data: { ids: [1, 2] },
+      },
+    });
+    expect(handler).not.toHaveBeenCalled();
+    expect(allowed.body.map((response) => response.result)).toEqual([
+      { n: 1 },
+      { n: 2 },
+    ]);
+    expect(
+      () => new RpcEndpoint(express(), {}, { batch: { duplicateIds: 'merge' } })
+    ).toThrow(
+      'Invalid batch.duplicateIds option "merge": expected one of allow, reject'
+    );
+  });
+
+  test('runs identical idempotent calls once with batch.coalesce', async () => {
+    const coalescingApp = express();
+    const coalescingRpc = new RpcEndpoint(
+      coalescingApp,
+      {},
+      {
+        safeEnabled: false,
+        batch: { coalesce: true },
+      }
+    );
+    const lookup = jest.fn((req, ctx, params) => {
+      if (params.id < 0) {
+        throw new RpcMethodError('Bad id', -32010, { id: params.id });
+      }
+      return { id: params.id, name: `user-${params.id}` };
+    });
+    const write = jest.fn(() => 'written');
+    coalescingRpc.addMethod('users.get', {
+      handler: lookup,
+      idempotent: true,
+    });
+    coalescingRpc.addMethod('users.touch', write);
+    const item = (method, params, id) => ({
+      jsonrpc: '2.0',
+      method,
+      params,
+      ...(id !== undefined && { id }),
+    });
+
+    const res = await request(coalescingApp)
+      .post('/api')
+      .send([
+        item('users.get', { id: 1, fields: ['name'] }, 'a'),
+        item('users.get', { fields: ['name'], id: 1 }, 'b'),
+        item('users.get', { id: 1, fields: ['name'] }),
+        item('users.get', { id: 2, fields: ['name'] }, 'c'),
+        item('users.get', { id: -1 }, 'd'),
+        item('users.get', { id: -1 }, 'e'),
+        item('users.touch', { id: 1 }, 'f'),
+        item('users.touch', { id: 1 }, 'g'),
+      ]);
+
+    expect(res.body).toEqual([
+      { jsonrpc: '2.0', id: 'a', result: { id: 1, name: 'user-1' } },
+      { jsonrpc: '2.0', id: 'b', result: { id: 1, name: 'user-1' } },
+      { jsonrpc: '2.0', id: 'c', result: { id: 2, name: 'user-2' } },
+      {
+        jsonrpc: '2.0',
+        id: 'd',
+        error: {
+          code: -32010,
+          message: 'Bad id',
+          data: { id: -1, batchIndex: 4 },
+        },
+      },
+      {
+        jsonrpc: '2.0',
+        id: 'e',
+        error: {
+          code: -32010,
+          message: 'Bad id',
+          data: { id: -1, batchIndex: 5 },
+        },
+      },
+      { jsonrpc: '2.0', id: 'f', result: 'written' },
+      { jsonrpc: '2.0', id: 'g', result: 'written' },
+    ]);
+    // a (b coalesced), the notification, c, d (e coalesced)
+    expect(lookup).toHaveBeenCalledTimes(4);
+    expect(write).toHaveBeenCalledTimes(2);
+  });
 });
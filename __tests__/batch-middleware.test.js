@@ -0,0 +1,220 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint, RpcMethodError } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  rpc.addMethod('whoami', {
+    handlerSignature: 'call',
+    handler: (params, call) => ({
+      principal: call.principal,
+      index: call.batchIndex,
+    }),
+  });
+  rpc.addMethod('echo', (req, ctx, params) => params);
+  return { app, rpc };
+}
+
+const item = (method, id, params) => ({
+  jsonrpc: '2.0',
+  method,
+  ...(params && { params }),
+  id,
+});
+
+describe('Batch middleware hooks', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('beforeBatch sees the batch and stats and passes state to every item', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const seen = [];
+    rpc.use('beforeBatch', (ctx) => {
+      seen.push({ size: ctx.batch.length, stats: ctx.stats });
+      return { principal: { userId: 7 }, state: { tenant: 'acme' } };
+    });
+    rpc.use('beforeCall', (ctx) => {
+      seen.push(ctx.batchState);
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send([
+        item('whoami', 1),
+        item('whoami', 2),
+        { jsonrpc: '2.0', method: 'echo' },
+      ]);
+
+    expect(res.body).toEqual([
+      { jsonrpc: '2.0', id: 1, result: { principal: { userId: 7 }, index: 0 } },
+      { jsonrpc: '2.0', id: 2, result: { principal: { userId: 7 }, index: 1 } },
+    ]);
+    expect(seen).toEqual([
+      {
+        size: 3,
+        stats: {
+          total: 3,
+          requests: 2,
+          notifications: 1,
+          uniqueMethods: 2,
+          methods: ['whoami', 'echo'],
+        },
+      },
+      { tenant: 'acme' },
+      { tenant: 'acme' },
+      { tenant: 'acme' },
+    ]);
+  });
+
+  test('runs the auth option once per batch and rejects the whole batch', async () => {
+    const auth = jest.fn((req) =>
+      req.headers.authorization === 'Bearer ok' ? { userId: 1 } : false
+    );
+    const { app } = createAppWithRpc({ auth });
+    const batch = [item('whoami', 1), item('whoami', 2), item('whoami', 3)];
+
+    const accepted = await request(app)
+      .post('/api')
+      .set('Authorization', 'Bearer ok')
+      .send(batch);
+    const rejected = await request(app).post('/api').send(batch);
+    const single = await request(app)
+      .post('/api')
+      .set('Authorization', 'Bearer ok')
+      .send(item('whoami', 4));
+
+    expect(accepted.body.map((response) => response.result)).toEqual([
+      { principal: { userId: 1 }, index: 0 },
+      { principal: { userId: 1 }, index: 1 },
+      { principal: { userId: 1 }, index: 2 },
+    ]);
+    expect(rejected.body).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32001, message: 'Authentication required' },
+    });
+    expect(single.body.result).toEqual({ principal: { userId: 1 } });
+    expect(auth).toHaveBeenCalledTimes(3);
+  });
+
+  test('beforeBatch can rewrite the batch and afterBatch the responses', async () => {
+    const { app, rpc } = createAppWithRpc();
+    let after;
+    rpc.use('beforeBatch', (ctx) => ({
+      batch: ctx.batch.filter((entry) => entry.method !== 'whoami'),
+    }));
+    rpc.use('afterBatch', (ctx) => {
+      after = ctx;
+      return {
+        responses: ctx.responses.map((response) => ({
+          ...response,
+          result: { ...response.result, tagged: true },
+        })),
+      };
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send([item('whoami', 1), item('echo', 2, { a: 1 })]);
+
+    expect(res.body).toEqual([
+      { jsonrpc: '2.0', id: 2, result: { a: 1, tagged: true } },
+    ]);
+    expect(after.stats.total).toBe(1);
+    expect(after.duration).toEqual(expect.any(Number));
+  });
+
+  test('validates a rewritten batch and rejects with thrown errors', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.use('beforeBatch', (ctx) => {
+      if (ctx.stats.uniqueMethods > 1) {
+        throw new RpcMethodError('Mixed batches are not allowed', -32010, {
+          methods: ctx.stats.methods,
+        });
+      }
+      return ctx.stats.total > 1 ? { batch: [] } : undefined;
+    });
+
+    const mixed = await request(app)
+      .post('/api')
+      .send([item('whoami', 1), item('echo', 2)]);
+    const emptied = await request(app)
+      .post('/api')
+      .send([item('echo', 1), item('echo', 2)]);
+
+    expect(mixed.body.error).toEqual({
+      code: -32010,
+      message: 'Mixed batches are not allowed',
+      data: { methods: ['whoami', 'echo'] },
+    });
+    expect(emptied.body.error).toEqual({
+      code: -32600,
+      message: 'Invalid Request: Batch cannot be empty',
+    });
+  });
+
+  test('streamed batches run both hooks and rejections are not streamed', async () => {
+    const { rpc } = createAppWithRpc();
+    const afterBatch = jest.fn();
+    rpc.use('beforeBatch', (ctx) => {
+      if (ctx.stats.total > 2) {
+        throw new RpcMethodError('Too many', -32010);
+      }
+      return { principal: { userId: 3 } };
+    });
+    rpc.use('afterBatch', afterBatch);
+
+    const rejected = await rpc.handle(
+      [item('echo', 1), item('echo', 2), item('echo', 3)],
+      { stream: true }
+    );
+    const frames = [];
+    const stream = await rpc.handle([item('whoami', 1)], { stream: true });
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const frame of stream) {
+      frames.push(frame);
+    }
+
+    expect(rejected).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32010, message: 'Too many' },
+    });
+    expect(frames[0].result).toEqual({ principal: { userId: 3 }, index: 0 });
+    expect(frames[1].summary).toMatchObject({ total: 1, responses: 1 });
+    expect(afterBatch).toHaveBeenCalledWith(
+      expect.objectContaining({ responses: [frames[0]] })
+    );
+  });
+
+  test('batch hooks are only available on the endpoint', () => {
+    const { rpc } = createAppWithRpc();
+
+    expect(() => rpc.namespace('billing').use('beforeBatch', () => {})).toThrow(
+      'Namespace "billing": beforeBatch is only available on the endpoint'
+    );
+    expect(() =>
+      rpc.addMethod('scoped', {
+        handler: () => null,
+        middleware: { afterBatch: () => {} },
+      })
+    ).toThrow(
+      'Invalid middleware configuration for method "scoped": afterBatch is only available on the endpoint'
+    );
+  });
+});
@@ -0,0 +1,206 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint, RpcMethodError } = require('../src/index');
+
+function createAdapter() {
+  const log = [];
+  let next = 0;
+  return {
+    log,
+    begin: jest.fn((batchContext) => {
+      next += 1;
+      log.push(['begin', batchContext.stats.total]);
+      return { id: next, writes: [] };
+    }),
+    commit: jest.fn((tx) => {
+      log.push(['commit', tx.writes]);
+    }),
+    rollback: jest.fn((tx, error) => {
+      log.push(['rollback', tx.writes, error.message]);
+    }),
+  };
+}
+
+function createAppWithRpc(batch = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, batch });
+  rpc.addMethod('debit', {
+    handlerSignature: 'call',
+    handler: (params, call) => {
+      if (params.amount > 100) {
+        throw new RpcMethodError('Insufficient funds', -32010);
+      }
+      call.transaction.writes.push(`debit:${params.amount}`);
+      return { tx: call.transaction.id };
+    },
+  });
+  rpc.addMethod('credit', (req, ctx, params, { transaction }) => {
+    transaction.writes.push(`credit:${params.amount}`);
+    return { tx: transaction.id };
+  });
+  return { app, rpc };
+}
+
+const item = (method, id, amount) => ({
+  jsonrpc: '2.0',
+  method,
+  params: { amount },
+  ...(id !== undefined && { id }),
+});
+
+describe('Transactional batches', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('commits once every item succeeded, sharing one transaction', async () => {
+    const transaction = createAdapter();
+    const { app } = createAppWithRpc({ transactional: true, transaction });
+
+    const res = await request(app)
+      .post('/api')
+      .set('Accept', 'application/x-ndjson')
+      .send([item('debit', 1, 30), item('credit', 2, 30)]);
+
+    expect(res.body).toEqual([
+      { jsonrpc: '2.0', id: 1, result: { tx: 1 } },
+      { jsonrpc: '2.0', id: 2, result: { tx: 1 } },
+    ]);
+    expect(transaction.log).toEqual([
+      ['begin', 2],
+      ['commit', ['debit:30', 'credit:30']],
+    ]);
+    expect(transaction.rollback).not.toHaveBeenCalled();
+  });
+
+  test('rolls back and fails the items that succeeded when one fails', async () => {
+    const transaction = createAdapter();
+    const { app } = createAppWithRpc({
+      transactional: true,
+      mode: 'sequential',
+      transaction,
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send([
+        item('credit', 1, 500),
+        item('debit', 2, 500),
+        item('credit', 3, 1),
+      ]);
+
+    expect(res.body).toEqual([
+      {
+        jsonrpc: '2.0',
+        id: 1,
+        error: {
+          code: -32012,
+          message: 'Transaction rolled back',
+          data: { failed: [1], batchIndex: 0 },
+        },
+      },
+      {
+        jsonrpc: '2.0',
+        id: 2,
+        error: {
+          code: -32010,
+          message: 'Insufficient funds',
+          data: { batchIndex: 1 },
+        },
+      },
+      {
+        jsonrpc: '2.0',
+        id: 3,
+        error: {
+          code: -32012,
+          message: 'Transaction rolled back',
+          data: { failed: [1], batchIndex: 2 },
+        },
+      },
+    ]);
+    expect(transaction.log).toEqual([
+      ['begin', 3],
+      ['rollback', ['credit:500', 'credit:1'], 'Insufficient funds'],
+    ]);
+    expect(transaction.commit).not.toHaveBeenCalled();
+  });
+
+  test('a failed notification or commit rolls the batch back', async () => {
+    const transaction = createAdapter();
+    transaction.commit.mockImplementationOnce(() => {
+      throw new Error('serialization failure');
+    });
+    const { app } = createAppWithRpc({ transactional: true, transaction });
+
+    const commitFailed = await request(app)
+      .post('/api')
+      .send([item('debit', 1, 10)]);
+    const notificationFailed = await request(app)
+      .post('/api')
+      .send([item('debit', 1, 10), item('missing', undefined, 1)]);
+
+    expect(commitFailed.body[0].error).toEqual({
+      code: -32012,
+      message: 'Transaction rolled back: commit failed',
+      data: { batchIndex: 0 },
+    });
+    expect(notificationFailed.body).toEqual([
+      {
+        jsonrpc: '2.0',
+        id: 1,
+        error: {
+          code: -32012,
+          message: 'Transaction rolled back',
+          data: { failed: [1], batchIndex: 0 },
+        },
+      },
+    ]);
+    expect(transaction.log).toEqual([
+      ['begin', 1],
+      ['rollback', ['debit:10'], 'serialization failure'],
+      ['begin', 2],
+      ['rollback', ['debit:10'], 'Method "missing" not found'],
+    ]);
+  });
+
+  test('rejects the batch without running items when begin fails', async () => {
+    const transaction = createAdapter();
+    transaction.begin.mockImplementationOnce(() => {
+      throw new RpcMethodError('Database unavailable', -32010);
+    });
+    const { app } = createAppWithRpc({ transactional: true, transaction });
+
+    const res = await request(app)
+      .post('/api')
+      .send([item('debit', 1, 10)]);
+
+    expect(res.body).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32010, message: 'Database unavailable' },
+    });
+    expect(transaction.commit).not.toHaveBeenCalled();
+    expect(transaction.rollback).not.toHaveBeenCalled();
+  });
+
+  test('validates the transaction adapter', () => {
+    expect(() =>
+      createAppWithRpc({ transactional: true, transaction: { begin() {} } })
+    ).toThrow(
+      'Invalid batch.transaction option: transactional batches need begin, commit and rollback functions'
+    );
+  });
+});
@@ -0,0 +1,162 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+function createAppWithRpc(options = {}, { hostParser = false } = {}) {
+  const app = express();
+  if (hostParser) {
+    app.use(express.json());
+  }
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  rpc.addMethod('echo', (req, ctx, params) => params);
+  return { app, rpc };
+}
+
+function postRaw(app, text) {
+  return request(app)
+    .post('/api')
+    .set('Content-Type', 'application/json')
+    .send(text);
+}
+
+describe('Endpoint body parsing', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('parses JSON bodies without an app-level parser', async () => {
+    const { app } = createAppWithRpc();
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'echo', params: { a: 1 }, id: 1 });
+
+    expect(res.body).toEqual({ jsonrpc: '2.0', id: 1, result: { a: 1 } });
+  });
+
+  test.each([false, true])(
+    'answers malformed JSON with a Parse error envelope (host parser: %s)',
+    async (hostParser) => {
+      const { app } = createAppWithRpc({}, { hostParser });
+
+      const res = await postRaw(app, '{"jsonrpc": "2.0", "method": ');
+
+      expect(res.status).toBe(400);
+      expect(res.headers['content-type']).toMatch(/^application\/json/);
+      expect(res.body).toEqual({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32700, message: 'Parse error' },
+      });
+    }
+  );
+
+  test('rejects bodies over bodyLimit with 413', async () => {
+    const { app } = createAppWithRpc({ bodyLimit: '1kb' });
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'echo', params: { text: 'x'.repeat(2048) }, id: 1 });
+
+    expect(res.status).toBe(413);
+    expect(res.body).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: 'Invalid Request: body exceeds the size limit',
+        data: { limit: '1kb' },
+      },
+    });
+  });
+
+  test('honors the deprecated maxBodySize option as bodyLimit', async () => {
+    const { app } = createAppWithRpc({ maxBodySize: '1kb' });
+
+    const res = await request(app)
+      .post('/api')
+      .send({
+        jsonrpc: '2.0',
+        method: 'echo',
+        params: { text: 'x'.repeat(2048) },
+        id: 1,
+      });
+
+    expect(res.status).toBe(413);
+    expect(res.body.error.data).toEqual({ limit: '1kb' });
+  });
+
+  test('strict mode only parses objects and arrays; loose mode parses any value', async () => {
+    const strict = createAppWithRpc();
+    const loose = createAppWithRpc({ jsonMode: 'loose' });
+
+    const strictRes = await postRaw(strict.app, '"echo"');
+    const looseRes = await postRaw(loose.app, '"echo"');
+
+    expect(strictRes.status).toBe(400);
+    expect(strictRes.body.error.code).toBe(-32700);
+    expect(looseRes.status).toBe(200);
+    expect(looseRes.body.error.code).toBe(-32600);
+    expect(() => createAppWithRpc({ jsonMode: 'lenient' })).toThrow(
+      'Invalid jsonMode option "lenient": expected one of strict, loose'
+    );
+  });
+
+  test('answers empty and non-JSON bodies with Invalid Request', async () => {
+    const { app } = createAppWithRpc();
+    // Express 5 leaves req.body undefined for these; mark the body as
+    // already parsed so the Express 4 parsers do the same
+    const express5App = express();
+    express5App.use((req, res, next) => {
+      Object.assign(req, { _body: true });
+      next();
+    });
+    express5App.use(app);
+
+    const empty = await request(app).post('/api');
+    const text = await request(app)
+      .post('/api')
+      .set('Content-Type', 'text/plain')
+      .send('ping');
+    const unparsed = await request(express5App)
+      .post('/api')
+      .set('Content-Type', 'text/plain')
+      .send('ping');
+
+    [empty, text, unparsed].forEach((res) => {
+      expect(res.body).toMatchObject({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32600 },
+      });
+    });
+  });
+
+  test('leaves body errors of other routes under the endpoint prefix to the host app', async () => {
+    const { app } = createAppWithRpc({}, { hostParser: true });
+    app.post('/api/upload', (req, res) => res.json({ ok: true }));
+
+    const upload = await request(app)
+      .post('/api/upload')
+      .set('Content-Type', 'application/json')
+      .send('{"broken": ');
+    const rpc = await postRaw(app, '{"broken": ');
+
+    expect(upload.status).toBe(400);
+    // Express's default error page, not a JSON-RPC envelope
+    expect(upload.type).toBe('text/html');
+    expect(rpc.body.error).toEqual({ code: -32700, message: 'Parse error' });
+  });
+});
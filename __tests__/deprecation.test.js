@@ -0,0 +1,154 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint, MethodSunsetError } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+describe('Method deprecation', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('adds Deprecation and Sunset headers and logs a warning', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('users.find', () => [], {
+      deprecated: {
+        since: '2026-01-01T00:00:00Z',
+        sunset: '2099-01-01T00:00:00Z',
+        replacement: 'users.search',
+      },
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'users.find', id: 1 });
+
+    expect(res.body.result).toEqual([]);
+    expect(res.headers.deprecation).toBe('@1767225600');
+    expect(res.headers.sunset).toBe('Thu, 01 Jan 2099 00:00:00 GMT');
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Deprecated method called')
+    );
+  });
+
+  test('keeps serving sunset methods unless rejectAfterSunset is set', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('old', () => 'still here', {
+      deprecated: { sunset: '2020-01-01' },
+    });
+    rpc.addMethod('gone', () => 'unreachable', {
+      deprecated: {
+        sunset: '2020-01-01T00:00:00Z',
+        replacement: 'new',
+        rejectAfterSunset: true,
+      },
+    });
+
+    const old = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'old', id: 1 });
+    const gone = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'gone', id: 2 });
+
+    expect(old.body.result).toBe('still here');
+    expect(gone.body.error).toEqual({
+      code: -32009,
+      message: 'Method "gone" was sunset on 2020-01-01T00:00:00.000Z',
+      data: {
+        method: 'gone',
+        sunset: '2020-01-01T00:00:00.000Z',
+        replacement: 'new',
+      },
+    });
+  });
+
+  test('applies the endpoint rejectAfterSunset default to batch items', async () => {
+    const { app, rpc } = createAppWithRpc({ rejectAfterSunset: true });
+    rpc.addMethod('gone', () => 'unreachable', {
+      deprecated: { sunset: '2020-01-01' },
+    });
+    rpc.addMethod('ping', { handler: () => 'pong', deprecated: true });
+
+    const res = await request(app)
+      .post('/api')
+      .send([
+        { jsonrpc: '2.0', method: 'gone', id: 1 },
+        { jsonrpc: '2.0', method: 'ping', id: 2 },
+      ]);
+
+    expect(res.body[0].error).toMatchObject({
+      code: new MethodSunsetError().code,
+      data: { batchIndex: 0 },
+    });
+    expect(res.body[1].result).toBe('pong');
+    expect(res.headers.deprecation).toBeUndefined();
+  });
+
+  test('reports deprecation metadata through introspection', async () => {
+    const { app, rpc } = createAppWithRpc({ enableIntrospection: true });
+    rpc.addMethod('users.find', () => [], {
+      exposeSchema: true,
+      deprecated: { sunset: '2099-01-01', replacement: 'users.search' },
+    });
+    rpc.addMethod('users.search', () => [], { exposeSchema: true });
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: '__rpc.describeAll', id: 1 });
+
+    expect(res.body.result).toEqual([
+      expect.objectContaining({
+        name: 'users.find',
+        deprecated: {
+          since: null,
+          sunset: '2099-01-01T00:00:00.000Z',
+          replacement: 'users.search',
+        },
+      }),
+      expect.objectContaining({ name: 'users.search', deprecated: null }),
+    ]);
+  });
+
+  test('rejects invalid deprecation dates at registration', () => {
+    const { rpc } = createAppWithRpc();
+    expect(() =>
+      rpc.addMethod('bad', () => 1, { deprecated: { sunset: 'someday' } })
+    ).toThrow('Invalid deprecated.sunset "someday" for method "bad"');
+  });
+
+  test('a bare schema using the deprecated keyword still validates params', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('legacy', (req, ctx, params) => params, {
+      type: 'object',
+      properties: { id: { type: 'integer' } },
+      required: ['id'],
+      deprecated: true,
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'legacy', params: { id: 'x' }, id: 1 });
+
+    expect(res.body.error.code).toBe(-32602);
+    expect(res.headers.deprecation).toBeUndefined();
+    expect(rpc.getMethod('legacy').schema.deprecated).toBe(true);
+  });
+});
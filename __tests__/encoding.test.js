@@ -0,0 +1,148 @@
+const express = require('express');
+const request = require('supertest');
+const { Packr } = require('msgpackr');
+const { Encoder } = require('cbor-x');
+const { RpcEndpoint } = require('../src/index');
+
+const msgpack = new Packr({ useRecords: false, useBigInt64: true, useBigIntExtension: true });
+const cbor = new Encoder({ useRecords: false, mapsAsObjects: true });
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+function collectBuffer(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+function post(app, codec, contentType, payload, accept) {
+  const req = request(app)
+    .post('/api')
+    .set('Content-Type', contentType)
+    .buffer(true)
+    .parse(collectBuffer);
+  if (accept) {
+    req.set('Accept', accept);
+  }
+  return req.send(Buffer.isBuffer(payload) ? payload : codec.encode(payload));
+}
+
+describe('Binary encodings', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test.each([
+    ['msgpack', msgpack, 'application/msgpack'],
+    ['cbor', cbor, 'application/cbor'],
+  ])('carries BigInt, Date and Buffer natively over %s', async (name, codec, type) => {
+    // Strict safe mode only applies to JSON bodies
+    const { app, rpc } = createAppWithRpc({ safeEnabled: true, strictMode: true });
+    const seen = jest.fn();
+    const beforeCall = jest.fn((ctx) => ctx);
+    rpc.use('beforeCall', beforeCall);
+    rpc.addMethod('store', (req, ctx, params) => {
+      seen(params);
+      return { ...params, size: BigInt(params.blob.length), label: 'S:raw' };
+    });
+    const params = {
+      amount: 12345678901234567890123n,
+      at: new Date('2024-01-02T03:04:05.123Z'),
+      blob: Buffer.from([1, 2, 3]),
+      note: '10n',
+    };
+
+    const res = await post(app, codec, type, {
+      jsonrpc: '2.0',
+      method: 'store',
+      params,
+      id: 1,
+    });
+    const body = codec.decode(res.body);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(new RegExp(`^${type}`));
+    expect(seen).toHaveBeenCalledWith(params);
+    expect(beforeCall).toHaveBeenCalledTimes(1);
+    expect(body).toEqual({
+      jsonrpc: '2.0',
+      id: 1,
+      result: { ...params, size: 3n, label: 'S:raw' },
+    });
+  });
+
+  test('runs batches with validation and negotiates the response by Accept', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('double', (req, ctx, params) => params.n * 2n, {
+      schema: {
+        type: 'object',
+        properties: { n: {} },
+        required: ['n'],
+      },
+    });
+
+    const res = await post(
+      app,
+      cbor,
+      'application/cbor',
+      [
+        { jsonrpc: '2.0', method: 'double', params: { n: 21n }, id: 1 },
+        { jsonrpc: '2.0', method: 'double', params: {}, id: 2 },
+        { jsonrpc: '2.0', method: 'double', params: { n: 1n } },
+      ],
+      'application/msgpack'
+    );
+    const body = msgpack.decode(res.body);
+
+    expect(res.headers['content-type']).toMatch(/^application\/msgpack/);
+    expect(body).toHaveLength(2);
+    expect(body[0]).toEqual({ jsonrpc: '2.0', id: 1, result: 42n });
+    expect(body[1].error).toMatchObject({ code: -32602, data: { batchIndex: 1 } });
+  });
+
+  test('leaves error data native and rejects undecodable bodies', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('fail', () => {
+      const error = new Error('Over limit');
+      error.code = -32010;
+      error.data = { limit: 10n };
+      throw error;
+    });
+
+    const failed = await post(app, msgpack, 'application/msgpack', {
+      jsonrpc: '2.0',
+      method: 'fail',
+      id: 'a',
+    });
+    const broken = await post(app, cbor, 'application/cbor', Buffer.from([0xa1]));
+
+    expect(msgpack.decode(failed.body).error).toEqual({
+      code: -32010,
+      message: 'Over limit',
+      data: { limit: 10n },
+    });
+    expect(broken.status).toBe(400);
+    expect(cbor.decode(broken.body)).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32700, message: 'Parse error' },
+    });
+  });
+});
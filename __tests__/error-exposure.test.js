@@ -0,0 +1,170 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint, NotFoundError, RpcMethodError } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  rpc.addMethod('crash', () => {
+    const error = new Error('password=hunter2 in connection string');
+    error.syscall = 'connect';
+    throw error;
+  });
+  rpc.addMethod('missing', () => {
+    throw new NotFoundError('User not found', { id: 1 });
+  });
+  return { app, rpc };
+}
+
+function call(app, method, id = 1) {
+  return request(app).post('/api').send({ jsonrpc: '2.0', method, id });
+}
+
+describe('Error exposure policy', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+  });
+
+  test('safe mode (default) sends code, message and data only', async () => {
+    const { app } = createAppWithRpc();
+    const res = await call(app, 'crash');
+
+    expect(res.body.error).toEqual({
+      code: -32603,
+      message: 'password=hunter2 in connection string',
+    });
+  });
+
+  test('none mode hides unexpected errors behind a logged incident id', async () => {
+    const { app } = createAppWithRpc({ errors: { expose: 'none' } });
+    const res = await call(app, 'crash');
+
+    expect(res.body.error).toEqual({
+      code: -32603,
+      message: 'Internal error',
+      data: { incidentId: expect.any(String) },
+    });
+
+    const { incidentId } = res.body.error.data;
+    const logged = consoleErrorSpy.mock.calls
+      .map(([line]) => line)
+      .find((line) => line.includes('Unexpected error'));
+    expect(logged).toContain(incidentId);
+    expect(logged).toContain('hunter2');
+  });
+
+  test('none mode keeps intentional RPC errors', async () => {
+    const { app } = createAppWithRpc({ errors: { expose: 'none' } });
+    const res = await call(app, 'missing');
+
+    expect(res.body.error).toEqual({
+      code: -32004,
+      message: 'User not found',
+      data: { id: 1 },
+    });
+  });
+
+  test('none mode hides driver errors that carry a numeric code', async () => {
+    const { app, rpc } = createAppWithRpc({ errors: { expose: 'none' } });
+    rpc.addMethod('duplicate', () => {
+      const error = new Error(
+        'E11000 duplicate key error dup key: { email: "ada@example.com" }'
+      );
+      error.code = 11000;
+      throw error;
+    });
+    rpc.addMethod('unavailable', () => {
+      throw Object.assign(new Error('14 UNAVAILABLE: connect 10.0.3.7:50051'), {
+        code: 14,
+      });
+    });
+    rpc.addMethod('plain', () => {
+      const failure = { code: -32010, message: 'Insufficient funds' };
+      throw failure;
+    });
+
+    const duplicate = await call(app, 'duplicate');
+    const unavailable = await call(app, 'unavailable', 2);
+    const plain = await call(app, 'plain', 3);
+
+    [duplicate, unavailable].forEach((res) => {
+      expect(res.body.error).toEqual({
+        code: -32603,
+        message: 'Internal error',
+        data: { incidentId: expect.any(String) },
+      });
+    });
+    expect(JSON.stringify(duplicate.body)).not.toContain('ada@example.com');
+    expect(plain.body.error).toEqual({
+      code: -32010,
+      message: 'Insufficient funds',
+    });
+  });
+
+  test('none mode applies to batch items', async () => {
+    const { app } = createAppWithRpc({ errors: { expose: 'none' } });
+    const res = await request(app)
+      .post('/api')
+      .send([{ jsonrpc: '2.0', method: 'crash', id: 1 }]);
+
+    expect(res.body[0].error).toEqual({
+      code: -32603,
+      message: 'Internal error',
+      data: { incidentId: expect.any(String), batchIndex: 0 },
+    });
+  });
+
+  test('full mode adds serialized diagnostics', async () => {
+    const { app } = createAppWithRpc({ errors: { expose: 'full' } });
+    const res = await call(app, 'crash');
+
+    expect(res.body.error.data.error).toMatchObject({
+      message: 'password=hunter2 in connection string',
+      syscall: 'connect',
+      type: 'Error',
+    });
+    expect(typeof res.body.error.data.error.stack).toBe('string');
+  });
+
+  test('transform can map errors before exposure', async () => {
+    const transform = jest.fn((err, callInfo) => {
+      if (err.syscall === 'connect') {
+        return new RpcMethodError('Service unavailable', -32050, {
+          method: callInfo.method,
+        });
+      }
+      return undefined;
+    });
+    const { app } = createAppWithRpc({ errors: { expose: 'none', transform } });
+
+    const crash = await call(app, 'crash');
+    const missing = await call(app, 'missing', 2);
+
+    expect(crash.body.error).toEqual({
+      code: -32050,
+      message: 'Service unavailable',
+      data: { method: 'crash' },
+    });
+    expect(missing.body.error.code).toBe(-32004);
+    expect(transform).toHaveBeenCalledWith(
+      expect.any(Error),
+      expect.objectContaining({ method: 'crash', id: 1 })
+    );
+  });
+
+  test('rejects unknown exposure levels', () => {
+    expect(() => createAppWithRpc({ errors: { expose: 'debug' } })).toThrow(
+      /Invalid errors.expose option "debug"/
+    );
+  });
+});
@@ -0,0 +1,106 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  RpcEndpoint,
+  RpcMethodError,
+  InvalidParamsError,
+  UnauthorizedError,
+  NotFoundError,
+  RateLimitedError,
+  formatRpcError,
+} = require('../src/index');
+
+describe('Server error classes', () => {
+  test('carry JSON-RPC codes and optional data', () => {
+    expect(new RpcMethodError('Boom')).toMatchObject({ code: -32000, message: 'Boom' });
+    expect(new InvalidParamsError()).toMatchObject({ code: -32602, message: 'Invalid params' });
+    expect(new UnauthorizedError()).toMatchObject({
+      code: -32001,
+      message: 'Authentication required',
+    });
+    expect(new NotFoundError('User not found', { id: 7 })).toMatchObject({
+      code: -32004,
+      data: { id: 7 },
+    });
+    expect(new RateLimitedError()).toMatchObject({ code: -32000, message: 'Too many requests' });
+
+    const error = new NotFoundError();
+    expect(error).toBeInstanceOf(RpcMethodError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('NotFoundError');
+    expect(error).not.toHaveProperty('data');
+  });
+
+  test('formatRpcError normalizes non-RPC values', () => {
+    const nodeError = new Error('connect ECONNREFUSED');
+    nodeError.code = 'ECONNREFUSED';
+
+    expect(formatRpcError(nodeError)).toEqual({
+      code: -32603,
+      message: 'connect ECONNREFUSED',
+    });
+    expect(formatRpcError('oops')).toEqual({ code: -32603, message: 'Internal error' });
+    expect(formatRpcError({ code: -32010, message: 'Domain', data: 'x' }, { batchIndex: 2 })).toEqual({
+      code: -32010,
+      message: 'Domain',
+      data: { value: 'x', batchIndex: 2 },
+    });
+  });
+});
+
+describe('Unified error envelope', () => {
+  let app;
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    const rpc = new RpcEndpoint(app, {}, { safeEnabled: false });
+    rpc.addMethod('users.get', (req, ctx, params) => {
+      throw new NotFoundError('User not found', { id: params.id });
+    });
+    rpc.addMethod('crash', () => {
+      const error = new Error('disk failure');
+      error.code = 'EIO';
+      error.path = '/var/data';
+      throw error;
+    });
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+  });
+
+  test('single and batch calls produce the same error object', async () => {
+    const single = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'users.get', params: { id: 7 }, id: 1 });
+    const batch = await request(app)
+      .post('/api')
+      .send([{ jsonrpc: '2.0', method: 'users.get', params: { id: 7 }, id: 1 }]);
+
+    expect(single.body.error).toEqual({
+      code: -32004,
+      message: 'User not found',
+      data: { id: 7 },
+    });
+    expect(batch.body[0].error).toEqual({
+      code: -32004,
+      message: 'User not found',
+      data: { id: 7, batchIndex: 0 },
+    });
+  });
+
+  test('does not nest serialized error details in the envelope', async () => {
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'crash', id: 1 });
+
+    expect(res.body.error).toEqual({ code: -32603, message: 'disk failure' });
+  });
+});
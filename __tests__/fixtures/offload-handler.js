@@ -0,0 +1,44 @@
+// Offloaded handler used by offload.test.js; runs inside a worker thread
+const { threadId } = require('worker_threads');
+
+function spin(ms) {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    // Block the thread
+  }
+}
+
+module.exports = async (params, call) => {
+  switch (params.op) {
+    case 'sum':
+      return {
+        sum: params.a + params.b,
+        later: new Date(params.at.getTime() + 1000),
+        label: params.label,
+        types: [typeof params.a, params.at instanceof Date],
+        call: { id: call.id, method: call.method },
+        threadId,
+      };
+    case 'bytes':
+      return {
+        received: [
+          Buffer.isBuffer(params.buffer),
+          params.view.constructor.name,
+        ],
+        buffer: Buffer.concat([params.buffer, Buffer.from('!')]),
+        view: params.view,
+        pdf: Buffer.from('hello'),
+      };
+    case 'spin':
+      spin(params.ms);
+      return params.ms;
+    case 'fail': {
+      const error = new Error('Over limit');
+      error.code = -32010;
+      error.data = { limit: 10n };
+      throw error;
+    }
+    default:
+      throw new Error(`Unknown op ${params.op}`);
+  }
+};
@@ -0,0 +1,109 @@
+const express = require('express');
+const { RpcEndpoint } = require('../src/index');
+
+function createRpc(options = {}) {
+  const app = express();
+  const rpc = new RpcEndpoint(app, { greeting: 'hi' }, {
+    safeEnabled: false,
+    ...options,
+  });
+  return { app, rpc };
+}
+
+describe('Transport-agnostic dispatch', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('returns the response for single calls and batches', async () => {
+    const { rpc } = createRpc();
+    rpc.addMethod('greet', (req, ctx, params) => `${ctx.greeting} ${params.name}`);
+
+    const single = await rpc.handle({
+      jsonrpc: '2.0',
+      method: 'greet',
+      params: { name: 'ada' },
+      id: 1,
+    });
+    const batch = await rpc.handle([
+      { jsonrpc: '2.0', method: 'greet', params: { name: 'bob' }, id: 2 },
+      { jsonrpc: '2.0', method: 'missing', id: 3 },
+    ]);
+
+    expect(single).toEqual({ jsonrpc: '2.0', id: 1, result: 'hi ada' });
+    expect(batch).toEqual([
+      { jsonrpc: '2.0', id: 2, result: 'hi bob' },
+      {
+        jsonrpc: '2.0',
+        id: 3,
+        error: {
+          code: -32601,
+          message: 'Method "missing" not found',
+          data: { batchIndex: 1 },
+        },
+      },
+    ]);
+  });
+
+  test('returns null when nothing should be sent', async () => {
+    const { rpc } = createRpc();
+    const handler = jest.fn();
+    rpc.addMethod('track', handler);
+
+    const single = await rpc.handle({ jsonrpc: '2.0', method: 'track' });
+    const batch = await rpc.handle([{ jsonrpc: '2.0', method: 'track' }]);
+
+    expect(single).toBeNull();
+    expect(batch).toBeNull();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('passes meta headers, principal and response metadata through', async () => {
+    const { rpc } = createRpc({ handlerSignature: 'call' });
+    const setHeader = jest.fn();
+    rpc.addMethod('whoami', (params, call) => {
+      call.set('X-Request-Cost', 3);
+      return { version: call.version, principal: call.principal };
+    });
+    rpc.addMethod('whoami', () => ({ version: 2 }), { version: 2 });
+
+    const response = await rpc.handle(
+      { jsonrpc: '2.0', method: 'whoami', id: 'a' },
+      {
+        headers: { 'X-RPC-Method-Version': '1' },
+        ip: '10.0.0.1',
+        principal: { userId: 7 },
+        setHeader,
+      }
+    );
+
+    expect(response.result).toEqual({ version: 1, principal: { userId: 7 } });
+    expect(setHeader).toHaveBeenCalledWith('X-Request-Cost', 3);
+  });
+
+  test('reports invalid requests without a transport', async () => {
+    const { rpc } = createRpc();
+
+    const invalid = await rpc.handle({ method: 'x', id: 1 });
+    const empty = await rpc.handle([]);
+
+    expect(invalid.error.code).toBe(-32600);
+    expect(empty).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32600, message: 'Invalid Request: Batch cannot be empty' },
+    });
+  });
+});
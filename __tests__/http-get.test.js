@@ -0,0 +1,123 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  rpc.addMethod('users.get', (req, ctx, params) => ({ id: params.id, active: params.active }), {
+    idempotent: true,
+    http: { cacheControl: 'max-age=60' },
+    schema: {
+      type: 'object',
+      properties: { id: { type: 'integer' }, active: { type: 'boolean' } },
+      required: ['id'],
+    },
+  });
+  rpc.addMethod('users.delete', () => true);
+  return { app, rpc };
+}
+
+describe('HTTP GET invocation', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+  });
+
+  test('accepts JSON params and coerced flat query params', async () => {
+    const { app } = createAppWithRpc();
+
+    const json = await request(app)
+      .get('/api/users.get')
+      .query({ params: JSON.stringify({ id: 7 }) });
+    const flat = await request(app).get('/api/users.get?id=7&active=true');
+
+    expect(json.body).toEqual({ jsonrpc: '2.0', id: null, result: { id: 7 } });
+    expect(flat.body.result).toEqual({ id: 7, active: true });
+  });
+
+  test('sends an ETag and honors If-None-Match with 304', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('config.get', () => ({ theme: 'dark' }), {
+      http: { get: true, cacheControl: 'public, max-age=60' },
+    });
+
+    const first = await request(app).get('/api/config.get');
+    const etag = first.headers.etag;
+    const cached = await request(app)
+      .get('/api/config.get')
+      .set('If-None-Match', `W/"other", ${etag}`);
+
+    expect(first.status).toBe(200);
+    expect(etag).toMatch(/^"[\w-]+"$/);
+    expect(first.headers['cache-control']).toBe('public, max-age=60');
+    expect(cached.status).toBe(304);
+    expect(cached.text).toBe('');
+  });
+
+  test('varies cacheable responses on the version and safe mode headers', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('users.get', (req, ctx, params) => ({ name: params.id }), {
+      version: 2,
+      idempotent: true,
+      http: { cacheControl: 'public, max-age=60' },
+    });
+
+    const v1 = await request(app)
+      .get('/api/users.get?id=7')
+      .set('X-RPC-Method-Version', '1');
+    const v2 = await request(app).get('/api/users.get?id=7');
+
+    expect(v1.body.result).toEqual({ id: 7 });
+    expect(v2.body.result).toEqual({ name: '7' });
+    [v1, v2].forEach((res) => {
+      expect(res.headers['cache-control']).toBeDefined();
+      expect(res.headers.vary).toBe('X-RPC-Method-Version, X-RPC-Safe-Enabled');
+    });
+  });
+
+  test('reports validation errors without caching them', async () => {
+    const { app } = createAppWithRpc();
+
+    const res = await request(app).get('/api/users.get?id=abc');
+
+    expect(res.status).toBe(200);
+    expect(res.body.error.code).toBe(-32602);
+    expect(res.headers['cache-control']).toBeUndefined();
+  });
+
+  test('rejects methods that are not GET-enabled, unknown methods and bad JSON', async () => {
+    const { app } = createAppWithRpc();
+
+    const post = await request(app).get('/api/users.delete');
+    const missing = await request(app).get('/api/nope');
+    const bad = await request(app).get('/api/users.get?params={oops');
+
+    expect(post.status).toBe(405);
+    expect(post.headers.allow).toBe('POST');
+    expect(post.body.error.message).toBe(
+      'Method "users.delete" is not available via GET'
+    );
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe(-32601);
+    expect(bad.status).toBe(400);
+    expect(bad.body.error.code).toBe(-32700);
+  });
+
+  test('keeps the health route ahead of method routes', async () => {
+    const { app } = createAppWithRpc();
+
+    const res = await request(app).get('/api/health');
+
+    expect(res.body.status).toBe('ok');
+  });
+});
@@ -422,4 +422,58 @@ describe('Introspection Methods', () => {
       expect(addResult.result).toBe(3);
     });
   });
+
+  describe('With handlerSignature: call', () => {
+    test('introspection methods keep working', async () => {
+      const callApp = express();
+      callApp.use(express.json());
+      const callRpc = new RpcEndpoint(
+        callApp,
+        {},
+        {
+          enableIntrospection: true,
+          handlerSignature: 'call',
+        }
+      );
+      callRpc.addMethod('add', {
+        handler: (params) => params.a + params.b,
+        schema: {
+          type: 'object',
+          properties: { a: { type: 'number' }, b: { type: 'number' } },
+        },
+        exposeSchema: true,
+      });
+      callRpc.namespace('math').addMethod('double', {
+        handler: (params) => params.n * 2,
+        exposeSchema: true,
+      });
+
+      const described = await request(callApp)
+        .post('/api')
+        .send({
+          jsonrpc: '2.0',
+          method: '__rpc.describe',
+          params: { method: 'add' },
+          id: 1,
+        });
+      const list = await request(callApp)
+        .post('/api')
+        .send({
+          jsonrpc: '2.0',
+          method: '__rpc.listMethods',
+          params: { groupBy: 'namespace' },
+          id: 2,
+        });
+
+      expect(described.body.error).toBeUndefined();
+      expect(described.body.result).toMatchObject({
+        name: 'add',
+        schema: { type: 'object' },
+      });
+      expect(list.body.result).toEqual([
+        { namespace: null, methods: ['add'] },
+        { namespace: 'math', methods: ['math.double'] },
+      ]);
+    });
+  });
 });
@@ -0,0 +1,119 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, { db: 'test-db' }, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+describe('Call invocation object', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+  });
+
+  test('passes params and call to handlers opting in per method', async () => {
+    const { app, rpc } = createAppWithRpc({
+      auth: (req) => (req.headers.authorization ? { userId: 42 } : false),
+    });
+    let received;
+    rpc.addMethod('whoami', {
+      handlerSignature: 'call',
+      handler: (params, call) => {
+        received = call;
+        call.set('X-Request-Id', `req-${call.id}`);
+        return { userId: call.principal.userId, echo: params.echo };
+      },
+    });
+    rpc.addMethod('legacy', (req, ctx, params) => ctx.db);
+
+    const res = await request(app)
+      .post('/api')
+      .set('Authorization', 'Bearer x')
+      .send({ jsonrpc: '2.0', method: 'whoami', params: { echo: 'hi' }, id: 7 });
+    const legacy = await request(app)
+      .post('/api')
+      .set('Authorization', 'Bearer x')
+      .send({ jsonrpc: '2.0', method: 'legacy', id: 8 });
+
+    expect(res.body.result).toEqual({ userId: 42, echo: 'hi' });
+    expect(res.headers['x-request-id']).toBe('req-7');
+    expect(received).toMatchObject({
+      id: 7,
+      method: 'whoami',
+      isNotification: false,
+      batchIndex: undefined,
+      context: { db: 'test-db' },
+      principal: { userId: 42 },
+    });
+    expect(received.req.headers.authorization).toBe('Bearer x');
+    expect(received.signal).toBeInstanceOf(AbortSignal);
+    expect(typeof received.logger.info).toBe('function');
+    expect(legacy.body.result).toBe('test-db');
+  });
+
+  test('fills batchIndex and isNotification in batches', async () => {
+    const { app, rpc } = createAppWithRpc({ handlerSignature: 'call' });
+    const calls = [];
+    rpc.addMethod('track', (params, call) => {
+      calls.push({
+        id: call.id,
+        batchIndex: call.batchIndex,
+        isNotification: call.isNotification,
+      });
+      call.set('X-Tracked', 'yes');
+      return params.n;
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send([
+        { jsonrpc: '2.0', method: 'track', params: { n: 1 }, id: 'a' },
+        { jsonrpc: '2.0', method: 'track', params: { n: 2 } },
+      ]);
+
+    expect(res.body).toEqual([{ jsonrpc: '2.0', id: 'a', result: 1 }]);
+    expect(res.headers['x-tracked']).toBe('yes');
+    expect(calls).toEqual([
+      { id: 'a', batchIndex: 0, isNotification: false },
+      { id: undefined, batchIndex: 1, isNotification: true },
+    ]);
+  });
+
+  test('child logger binds call metadata', async () => {
+    const { app, rpc } = createAppWithRpc({ handlerSignature: 'call' });
+    rpc.addMethod('log', (params, call) => {
+      call.logger.info('working');
+      return true;
+    });
+
+    await request(app).post('/api').send({ jsonrpc: '2.0', method: 'log', id: 3 });
+
+    const line = consoleInfoSpy.mock.calls
+      .map(([entry]) => entry)
+      .find((entry) => entry.includes('working'));
+    expect(line).toContain('"method":"log"');
+    expect(line).toContain('"id":3');
+  });
+
+  test('rejects unknown handler signatures', () => {
+    expect(() => createAppWithRpc({ handlerSignature: 'koa' })).toThrow(
+      /Invalid handlerSignature option "koa"/
+    );
+    const { rpc } = createAppWithRpc();
+    expect(() =>
+      rpc.addMethod('x', { handler: () => 1, handlerSignature: 'koa' })
+    ).toThrow('Invalid handlerSignature "koa" for method "x"');
+  });
+});
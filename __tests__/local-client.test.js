@@ -0,0 +1,112 @@
+const express = require('express');
+const { RpcEndpoint, RpcMethodError } = require('../src/index');
+
+function createRpc(options = {}) {
+  const app = express();
+  const rpc = new RpcEndpoint(app, { greeting: 'hi' }, {
+    safeEnabled: false,
+    ...options,
+  });
+  return { app, rpc };
+}
+
+describe('Local client', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('calls through middleware and schema validation', async () => {
+    const { rpc } = createRpc();
+    const beforeCall = jest.fn((ctx) => ctx);
+    rpc.use('beforeCall', beforeCall);
+    rpc.addMethod('greet', (req, ctx, params) => `${ctx.greeting} ${params.name}`, {
+      schema: {
+        type: 'object',
+        properties: { name: { type: 'string' } },
+        required: ['name'],
+      },
+    });
+    const client = rpc.createLocalClient();
+
+    const result = await client.call('greet', { name: 'ada' });
+    const failure = client.call('greet', {});
+
+    expect(result).toBe('hi ada');
+    await expect(failure).rejects.toBeInstanceOf(RpcMethodError);
+    await expect(failure).rejects.toMatchObject({
+      code: -32602,
+      message: 'Validation failed',
+    });
+    expect(beforeCall).toHaveBeenCalledTimes(2);
+  });
+
+  test.each([false, true])(
+    'round-trips BigInt and Date values (safeEnabled: %s)',
+    async (safeEnabled) => {
+      const { rpc } = createRpc({ safeEnabled, strictMode: safeEnabled });
+      const seen = jest.fn();
+      rpc.addMethod('echo', (req, ctx, params) => {
+        seen(params);
+        return params;
+      });
+      const client = rpc.createLocalClient();
+      const params = {
+        amount: 12345678901234567890n,
+        at: new Date('2024-01-02T03:04:05.000Z'),
+        label: 'S:raw',
+      };
+
+      const result = await client.call('echo', params);
+
+      expect(seen).toHaveBeenCalledWith(params);
+      expect(result.amount).toBe(params.amount);
+      expect(result.at).toEqual(params.at);
+      expect(result.label).toBe('S:raw');
+    }
+  );
+
+  test('sends notifications and batches with headers and principal', async () => {
+    const { rpc } = createRpc({ handlerSignature: 'call' });
+    const track = jest.fn();
+    rpc.addMethod('track', track);
+    rpc.addMethod('whoami', (params, call) => ({
+      principal: call.principal,
+      tenant: call.req.headers['x-tenant'],
+    }));
+    const client = rpc.createLocalClient({
+      headers: { 'X-Tenant': 'acme' },
+      principal: { userId: 7 },
+    });
+
+    const nothing = await client.notify('track', { event: 'open' });
+    const results = await client.batch([
+      { method: 'whoami' },
+      { method: 'track', notify: true },
+      { method: 'missing' },
+    ]);
+
+    expect(nothing).toBeUndefined();
+    expect(track).toHaveBeenCalledTimes(2);
+    expect(results).toHaveLength(2);
+    expect(results[0].result).toEqual({
+      principal: { userId: 7 },
+      tenant: 'acme',
+    });
+    expect(results[1].error).toMatchObject({
+      code: -32601,
+      data: { batchIndex: 2 },
+    });
+  });
+});
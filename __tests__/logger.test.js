@@ -79,4 +79,15 @@ describe('Logger utility helpers', () => {
 
     expect(console.error.mock.calls[0][0]).toContain('stack');
   });
+
+  test('child loggers add bindings to every entry', () => {
+    const child = logger.child({ method: 'm' }).child({ id: 1 });
+
+    child.info('hello', { extra: true });
+
+    expect(console.info.mock.calls[0][0]).toContain(
+      '{"method":"m","id":1,"extra":true}'
+    );
+    expect(child.level).toBe('info');
+  });
 });
@@ -0,0 +1,109 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+describe('Method-scoped middleware', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+  });
+
+  test('runs method middleware after the global chain', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const calls = [];
+    rpc.use('beforeCall', (ctx) => {
+      calls.push(`global:${ctx.method}`);
+    });
+    rpc.addMethod('write', {
+      handler: () => 'written',
+      middleware: {
+        beforeCall: [
+          (ctx) => {
+            calls.push(`method:${ctx.method}`);
+          },
+        ],
+        afterCall: (ctx) => {
+          calls.push(`audit:${ctx.result}`);
+        },
+      },
+    });
+    rpc.addMethod('read', () => 'read');
+
+    await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'write', id: 1 });
+    await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'read', id: 2 });
+
+    expect(calls).toEqual([
+      'global:write',
+      'method:write',
+      'audit:written',
+      'global:read',
+    ]);
+  });
+
+  test('can reject calls from method middleware in batches', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const requireAdmin = (ctx) => {
+      if (ctx.req.headers['x-role'] !== 'admin') {
+        const error = new Error('Forbidden');
+        error.code = -32003;
+        throw error;
+      }
+    };
+    rpc.addMethod('admin.reset', () => 'reset', {
+      middleware: { beforeCall: requireAdmin },
+    });
+    rpc.addMethod('ping', () => 'pong');
+
+    const res = await request(app)
+      .post('/api')
+      .send([
+        { jsonrpc: '2.0', method: 'admin.reset', id: 1 },
+        { jsonrpc: '2.0', method: 'ping', id: 2 },
+      ]);
+
+    expect(res.body[0].error).toMatchObject({ code: -32003, message: 'Forbidden' });
+    expect(res.body[1].result).toBe('pong');
+  });
+
+  test('drops method middleware when the method is removed', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const beforeCall = jest.fn();
+    rpc.addMethod('temp', { handler: () => 1, middleware: { beforeCall } });
+    rpc.removeMethod('temp');
+    rpc.addMethod('temp', () => 2);
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'temp', id: 1 });
+
+    expect(res.body.result).toBe(2);
+    expect(beforeCall).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown hooks at registration', () => {
+    const { rpc } = createAppWithRpc();
+    expect(() =>
+      rpc.addMethod('bad', { handler: () => 1, middleware: { beforeAll: () => {} } })
+    ).toThrow('Unknown middleware hook: beforeAll');
+    expect(rpc.getMethod('bad')).toBeUndefined();
+  });
+});
@@ -0,0 +1,152 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+describe('Method namespaces', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+  });
+
+  test('registers methods under the namespace prefix', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const billing = rpc.namespace('billing');
+    billing.addMethod('charge', (req, ctx, params) => ({ charged: params.amount }));
+
+    expect(rpc.listMethods()).toContain('billing.charge');
+    expect(billing.listMethods()).toEqual(['billing.charge']);
+    expect(rpc.namespace('billing')).toBe(billing);
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'billing.charge', params: { amount: 5 }, id: 1 });
+
+    expect(res.body.result).toEqual({ charged: 5 });
+  });
+
+  test('applies namespace auth only to namespaced methods', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.namespace('billing', {
+      auth: (req) => req.headers.authorization === 'Bearer billing',
+    }).addMethod('charge', () => 'charged');
+    rpc.addMethod('ping', () => 'pong');
+
+    const ping = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'ping', id: 1 });
+    const denied = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'billing.charge', id: 2 });
+    const allowed = await request(app)
+      .post('/api')
+      .set('Authorization', 'Bearer billing')
+      .send({ jsonrpc: '2.0', method: 'billing.charge', id: 3 });
+
+    expect(ping.body.result).toBe('pong');
+    expect(denied.body.error.code).toBe(-32001);
+    expect(allowed.body.result).toBe('charged');
+  });
+
+  test('runs namespace middleware after global middleware, in batches too', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const calls = [];
+    rpc.use('beforeCall', (ctx) => {
+      calls.push(`global:${ctx.method}`);
+    });
+    const admin = rpc.namespace('admin');
+    admin.use('beforeCall', (ctx) => {
+      calls.push(`admin:${ctx.method}`);
+    });
+    admin.addMethod('stats', () => 'stats');
+    rpc.addMethod('ping', () => 'pong');
+
+    const res = await request(app)
+      .post('/api')
+      .send([
+        { jsonrpc: '2.0', method: 'admin.stats', id: 1 },
+        { jsonrpc: '2.0', method: 'ping', id: 2 },
+      ]);
+
+    expect(res.body.map((item) => item.result)).toEqual(['stats', 'pong']);
+    expect(calls).toEqual([
+      'global:admin.stats',
+      'global:ping',
+      'admin:admin.stats',
+    ]);
+  });
+
+  test('scopes methodWhitelist to namespace-relative names', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const reports = rpc.namespace('reports', { methodWhitelist: ['daily'] });
+    reports.addMethod('daily', () => 'daily');
+    reports.addMethod('raw', () => 'raw');
+
+    const daily = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'reports.daily', id: 1 });
+    const raw = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'reports.raw', id: 2 });
+
+    expect(daily.body.result).toBe('daily');
+    expect(raw.body.error.code).toBe(-32601);
+  });
+
+  test('rejects reserved and reconfigured namespaces', () => {
+    const { rpc } = createAppWithRpc();
+    rpc.namespace('billing', { rateLimit: { max: 10 } });
+
+    expect(() => rpc.namespace('__rpc')).toThrow(/reserved/);
+    expect(() => rpc.namespace('')).toThrow(/non-empty/);
+    expect(() => rpc.namespace('billing', { rateLimit: { max: 5 } })).toThrow(
+      /already configured/
+    );
+  });
+
+  test('groups introspection output by namespace', async () => {
+    const { app, rpc } = createAppWithRpc({ enableIntrospection: true });
+    rpc.addMethod('ping', () => 'pong', { exposeSchema: true });
+    rpc.namespace('billing').addMethod('charge', () => 'ok', { exposeSchema: true });
+
+    const list = await request(app)
+      .post('/api')
+      .send({
+        jsonrpc: '2.0',
+        method: '__rpc.listMethods',
+        params: { groupBy: 'namespace' },
+        id: 1,
+      });
+    const all = await request(app)
+      .post('/api')
+      .send({
+        jsonrpc: '2.0',
+        method: '__rpc.describeAll',
+        params: { groupBy: 'namespace' },
+        id: 2,
+      });
+
+    expect(list.body.result).toEqual([
+      { namespace: null, methods: ['ping'] },
+      { namespace: 'billing', methods: ['billing.charge'] },
+    ]);
+    expect(all.body.result[1]).toMatchObject({
+      namespace: 'billing',
+      methods: [{ name: 'billing.charge', namespace: 'billing' }],
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const { threadId } = require('worker_threads');
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+const handlerPath = require.resolve('./fixtures/offload-handler');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+function call(app, method, params, id = 1) {
+  return request(app).post('/api').send({ jsonrpc: '2.0', method, params, id });
+}
+
+describe('Worker offloading', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+  let rpc;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await rpc?.closeWorkers();
+    rpc = null;
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('runs the handler in a worker with BigInt and Date values intact', async () => {
+    const setup = createAppWithRpc();
+    rpc = setup.rpc;
+    rpc.addMethod('compute', {
+      handler: handlerPath,
+      offload: { pool: 'cpu', maxWorkers: 1 },
+    });
+
+    const res = await call(setup.app, 'compute', {
+      op: 'sum',
+      a: '10n',
+      b: '20n',
+      at: '2024-01-02T03:04:05.000Z',
+      label: 'S:looks prefixed',
+    });
+
+    expect(res.body.result).toEqual({
+      sum: '30n',
+      later: '2024-01-02T03:04:06.000Z',
+      label: 'S:looks prefixed',
+      types: ['bigint', true],
+      call: { id: 1, method: 'compute' },
+      threadId: expect.any(Number),
+    });
+    expect(res.body.result.threadId).not.toBe(threadId);
+  });
+
+  test('keeps the event loop free and queues calls beyond maxWorkers', async () => {
+    const setup = createAppWithRpc();
+    rpc = setup.rpc;
+    rpc.addMethod('spin', {
+      handler: handlerPath,
+      offload: { pool: 'cpu', maxWorkers: 1 },
+    });
+    rpc.addMethod('ping', () => 'pong');
+    const finished = [];
+    const track = (name, pending) =>
+      pending.then((res) => {
+        finished.push(name);
+        return res;
+      });
+
+    const [first, second, ping] = await Promise.all([
+      track('first', call(setup.app, 'spin', { op: 'spin', ms: 300 }, 1)),
+      track('second', call(setup.app, 'spin', { op: 'spin', ms: 10 }, 2)),
+      track('ping', call(setup.app, 'ping', {}, 3)),
+    ]);
+
+    expect(finished).toEqual(['ping', 'first', 'second']);
+    expect(first.body.result).toBe(300);
+    expect(second.body.result).toBe(10);
+    expect(ping.body.result).toBe('pong');
+  });
+
+  test('terminates a worker that ignores a timeout and keeps serving', async () => {
+    const setup = createAppWithRpc();
+    rpc = setup.rpc;
+    rpc.addMethod('spin', {
+      handler: handlerPath,
+      timeout: 50,
+      offload: { pool: 'cpu', maxWorkers: 1, cancelGrace: 20 },
+    });
+    rpc.addMethod('compute', {
+      handler: handlerPath,
+      offload: { pool: 'cpu' },
+    });
+    const started = Date.now();
+
+    const timedOut = await call(setup.app, 'spin', { op: 'spin', ms: 10000 });
+    const next = await call(setup.app, 'compute', { op: 'spin', ms: 5 });
+
+    expect(timedOut.body.error).toMatchObject({
+      code: -32008,
+      message: 'Method "spin" timed out after 50ms',
+    });
+    expect(next.body.result).toBe(5);
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(consoleWarnSpy).toHaveBeenCalled();
+  });
+
+  test('maps errors thrown in the worker to JSON-RPC errors', async () => {
+    const setup = createAppWithRpc();
+    rpc = setup.rpc;
+    rpc.addMethod('compute', { handler: handlerPath, offload: true });
+
+    const res = await call(setup.app, 'compute', { op: 'fail' });
+
+    expect(res.body.error).toEqual({
+      code: -32010,
+      message: 'Over limit',
+      data: { limit: '10n' },
+    });
+  });
+
+  test('validates offload configuration', () => {
+    const setup = createAppWithRpc();
+    rpc = setup.rpc;
+    rpc.addMethod('a', { handler: handlerPath, offload: { maxWorkers: 2 } });
+
+    expect(() =>
+      rpc.addMethod('b', { handler: './relative.js', offload: true })
+    ).toThrow(
+      'Offloaded method "b" needs the absolute path of a handler module'
+    );
+    expect(() =>
+      rpc.addMethod('c', { handler: handlerPath, offload: { maxWorkers: 3 } })
+    ).toThrow('Worker pool "default" is already configured with maxWorkers 2');
+    expect(() =>
+      rpc.addMethod('d', {
+        handler: handlerPath,
+        offload: { pool: 'x', maxWorkers: 0 },
+      })
+    ).toThrow('Invalid maxWorkers option for worker pool "x"');
+    expect(() => rpc.addMethod('e', { handler: handlerPath })).toThrow(
+      'Invalid handler for method "e": expected a function'
+    );
+  });
+
+  test('passes Buffer and Uint8Array values through unchanged', async () => {
+    const setup = createAppWithRpc();
+    rpc = setup.rpc;
+    rpc.addMethod('compute', { handler: handlerPath, offload: true });
+
+    const response = await rpc.handle(
+      {
+        jsonrpc: '2.0',
+        method: 'compute',
+        params: {
+          op: 'bytes',
+          buffer: Buffer.from('data'),
+          view: new Uint8Array([1, 2, 3]),
+        },
+        id: 1,
+      },
+      { nativeTypes: true }
+    );
+
+    const { result } = response;
+    expect(result.received).toEqual([true, 'Uint8Array']);
+    expect(Buffer.isBuffer(result.buffer)).toBe(true);
+    expect(result.buffer.toString()).toBe('data!');
+    expect(Buffer.isBuffer(result.view)).toBe(false);
+    expect([...result.view]).toEqual([1, 2, 3]);
+    expect(Buffer.isBuffer(result.pdf)).toBe(true);
+    expect(result.pdf.toString()).toBe('hello');
+  });
+});
@@ -0,0 +1,104 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+const addSchema = {
+  type: 'object',
+  properties: {
+    a: { type: 'number' },
+    b: { type: 'number' },
+  },
+  required: ['a', 'b'],
+  additionalProperties: false,
+};
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+function call(app, method, params, id = 1) {
+  return request(app).post('/api').send({ jsonrpc: '2.0', method, params, id });
+}
+
+describe('Positional params mapping', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+  });
+
+  test('validates positional and named calls with one schema', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const seen = [];
+    rpc.use('beforeValidation', (ctx) => {
+      seen.push(ctx.params);
+    });
+    rpc.addMethod('add', {
+      paramNames: ['a', 'b'],
+      schema: addSchema,
+      handler: (req, ctx, params) => params.a + params.b,
+    });
+
+    const positional = await call(app, 'add', [2, 3]);
+    const named = await call(app, 'add', { a: 4, b: 5 }, 2);
+    const missing = await call(app, 'add', [1], 3);
+
+    expect(positional.body.result).toBe(5);
+    expect(named.body.result).toBe(9);
+    expect(missing.body.error.code).toBe(-32602);
+    expect(seen).toEqual([{ a: 2, b: 3 }, { a: 4, b: 5 }, { a: 1 }]);
+  });
+
+  test('rejects more positional params than names', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('add', {
+      paramNames: ['a', 'b'],
+      handler: (req, ctx, params) => params.a + params.b,
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send([{ jsonrpc: '2.0', method: 'add', params: [1, 2, 3], id: 1 }]);
+
+    expect(res.body[0].error).toMatchObject({
+      code: -32602,
+      message: 'Too many positional params for method "add"',
+      data: { paramNames: ['a', 'b'], received: 3, batchIndex: 0 },
+    });
+  });
+
+  test('passes positional params to handlers that ask for them', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('subtract', {
+      paramNames: ['minuend', 'subtrahend'],
+      handlerParams: 'positional',
+      handler: (req, ctx, [minuend, subtrahend]) => minuend - subtrahend,
+    });
+
+    const named = await call(app, 'subtract', { subtrahend: 2, minuend: 10 });
+    const positional = await call(app, 'subtract', [7, 3], 2);
+
+    expect(named.body.result).toBe(8);
+    expect(positional.body.result).toBe(4);
+  });
+
+  test('validates paramNames configuration', () => {
+    const { rpc } = createAppWithRpc();
+    expect(() =>
+      rpc.addMethod('x', { handler: () => 1, paramNames: ['a', 'a'] })
+    ).toThrow(/Invalid paramNames for method "x"/);
+    expect(() =>
+      rpc.addMethod('y', { handler: () => 1, handlerParams: 'positional' })
+    ).toThrow('Method "y" requires paramNames when handlerParams is "positional"');
+  });
+});
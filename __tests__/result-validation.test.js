@@ -0,0 +1,185 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+const userSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+  },
+  required: ['id', 'name'],
+};
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+function call(app, method, id = 1) {
+  return request(app).post('/api').send({ jsonrpc: '2.0', method, id });
+}
+
+describe('Result schema validation', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+  const originalNodeEnv = process.env.NODE_ENV;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+    process.env.NODE_ENV = originalNodeEnv;
+  });
+
+  test('fails the call with an internal error by default', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('user', { handler: () => ({ id: 'x' }), resultSchema: userSchema });
+
+    const res = await call(app, 'user');
+
+    expect(res.body.result).toBeUndefined();
+    expect(res.body.error).toMatchObject({
+      code: -32603,
+      message: 'Result validation failed',
+      data: { method: 'user' },
+    });
+    expect(res.body.error.data.validationErrors.length).toBeGreaterThan(0);
+  });
+
+  test('strips undeclared properties without touching the handler object', async () => {
+    const { app, rpc } = createAppWithRpc({
+      resultValidation: { removeAdditional: true },
+    });
+    const stored = { id: 1, name: 'Ada', passwordHash: 'secret' };
+    rpc.addMethod('user', { handler: () => stored, resultSchema: userSchema });
+
+    const res = await call(app, 'user');
+
+    expect(res.body.result).toEqual({ id: 1, name: 'Ada' });
+    expect(stored.passwordHash).toBe('secret');
+  });
+
+  test('logs a warning and returns the result with the warn policy', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('user', {
+      handler: () => ({ id: 1 }),
+      resultSchema: userSchema,
+      resultValidation: { policy: 'warn' },
+    });
+
+    const res = await call(app, 'user');
+
+    expect(res.body.result).toEqual({ id: 1 });
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Result validation failed')
+    );
+  });
+
+  test('skips validation in production with the development policy', async () => {
+    const { app, rpc } = createAppWithRpc({
+      resultValidation: { policy: 'development' },
+    });
+    rpc.addMethod('user', { handler: () => ({ id: 1 }), resultSchema: userSchema });
+
+    process.env.NODE_ENV = 'development';
+    const dev = await call(app, 'user');
+    process.env.NODE_ENV = 'production';
+    const prod = await call(app, 'user');
+
+    expect(dev.body.error.code).toBe(-32603);
+    expect(prod.body.result).toEqual({ id: 1 });
+  });
+
+  test('validates results of batch items', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('good', { handler: () => ({ id: 1, name: 'Ada' }), resultSchema: userSchema });
+    rpc.addMethod('bad', { handler: () => ({}), resultSchema: userSchema });
+
+    const res = await request(app)
+      .post('/api')
+      .send([
+        { jsonrpc: '2.0', method: 'good', id: 1 },
+        { jsonrpc: '2.0', method: 'bad', id: 2 },
+      ]);
+
+    expect(res.body[0].result).toEqual({ id: 1, name: 'Ada' });
+    expect(res.body[1].error).toMatchObject({
+      code: -32603,
+      data: { method: 'bad', batchIndex: 1 },
+    });
+  });
+
+  test('rejects unknown policies at registration', () => {
+    const { rpc } = createAppWithRpc();
+    expect(() =>
+      rpc.addMethod('user', {
+        handler: () => ({}),
+        resultSchema: userSchema,
+        resultValidation: { policy: 'ignore' },
+      })
+    ).toThrow('Invalid result validation policy "ignore" for method "user"');
+  });
+
+  test('exposes resultSchema via __rpc.describe', async () => {
+    const { app, rpc } = createAppWithRpc({ enableIntrospection: true });
+    rpc.addMethod('user', {
+      handler: () => ({ id: 1, name: 'Ada' }),
+      resultSchema: userSchema,
+      exposeSchema: true,
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send({
+        jsonrpc: '2.0',
+        method: '__rpc.describe',
+        params: { method: 'user' },
+        id: 1,
+      });
+
+    expect(res.body.result.resultSchema).toEqual(userSchema);
+  });
+
+  test('ignores the params validation options when validating results', async () => {
+    const { app, rpc } = createAppWithRpc({
+      validation: { removeAdditional: true },
+    });
+    const schema = {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        role: { type: 'string', default: 'user' },
+      },
+      additionalProperties: false,
+    };
+    const stored = { id: 1, secret: 'hidden' };
+    rpc.addMethod('kept', {
+      handler: () => stored,
+      resultSchema: schema,
+      resultValidation: { removeAdditional: false, policy: 'warn' },
+    });
+    rpc.addMethod('stripped', {
+      handler: () => stored,
+      resultSchema: schema,
+      resultValidation: { removeAdditional: true },
+    });
+
+    const kept = await call(app, 'kept');
+    const stripped = await call(app, 'stripped');
+
+    expect(kept.body.result).toEqual({ id: 1, secret: 'hidden' });
+    expect(consoleWarnSpy).toHaveBeenCalled();
+    expect(stripped.body.result).toEqual({ id: 1 });
+    expect(stored).toEqual({ id: 1, secret: 'hidden' });
+  });
+});
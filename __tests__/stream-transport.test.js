@@ -0,0 +1,218 @@
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const express = require('express');
+const { RpcEndpoint } = require('../src/index');
+const { FrameDecoder } = require('../src/framing');
+
+function createRpc(options = {}) {
+  const rpc = new RpcEndpoint(
+    express(),
+    { greeting: 'hi' },
+    {
+      safeEnabled: false,
+      ...options,
+    }
+  );
+  rpc.addMethod(
+    'greet',
+    (req, ctx, params) => `${ctx.greeting} ${params.name}`
+  );
+  rpc.addMethod('wait', async (req, ctx, params) => {
+    await new Promise((resolve) => {
+      setTimeout(resolve, params.ms);
+    });
+    return params.ms;
+  });
+  return rpc;
+}
+
+// Collect decoded messages written by the transport
+function reader(stream, framing) {
+  const decoder = new FrameDecoder(framing, 1024 * 1024);
+  const messages = [];
+  const waiters = [];
+  stream.on('data', (chunk) => {
+    decoder.push(chunk).forEach((text) => messages.push(JSON.parse(text)));
+    waiters
+      .filter((waiter) => messages.length >= waiter.count)
+      .forEach((waiter) => waiter.resolve(messages.slice(0, waiter.count)));
+  });
+  return (count) =>
+    new Promise((resolve) => {
+      if (messages.length >= count) resolve(messages.slice(0, count));
+      else waiters.push({ count, resolve });
+    });
+}
+
+function frame(json) {
+  return `Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`;
+}
+
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(options, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+describe('Stream transports', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+  let transport;
+  let sockets;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    sockets = [];
+  });
+
+  afterEach(async () => {
+    sockets.forEach((socket) => socket.destroy());
+    if (transport) await transport.close();
+    transport = null;
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('serves NDJSON over a readable/writable pair with concurrent requests', async () => {
+    const rpc = createRpc();
+    const input = new PassThrough();
+    const output = new PassThrough();
+    transport = await rpc.listenStream({ readable: input, writable: output });
+    const next = reader(output, 'ndjson');
+
+    input.write(
+      `${JSON.stringify({ jsonrpc: '2.0', method: 'wait', params: { ms: 40 }, id: 'slow' })}\n` +
+        `${JSON.stringify({ jsonrpc: '2.0', method: 'greet', params: { name: 'x' } })}\n`
+    );
+    input.write(
+      `${JSON.stringify([
+        { jsonrpc: '2.0', method: 'greet', params: { name: 'ada' }, id: 1 },
+        { jsonrpc: '2.0', method: 'nope', id: 2 },
+      ])}\n{oops\n`
+    );
+
+    const messages = await next(3);
+    const batch = messages.find(Array.isArray);
+    const parse = messages.find((message) => message.id === null);
+
+    // The slow call was sent first but is answered last
+    expect(messages[2]).toEqual({ jsonrpc: '2.0', id: 'slow', result: 40 });
+    expect(batch).toEqual([
+      { jsonrpc: '2.0', id: 1, result: 'hi ada' },
+      {
+        jsonrpc: '2.0',
+        id: 2,
+        error: {
+          code: -32601,
+          message: 'Method "nope" not found',
+          data: { batchIndex: 1 },
+        },
+      },
+    ]);
+    expect(parse.error).toEqual({ code: -32700, message: 'Parse error' });
+    expect(transport.connections).toBe(1);
+  });
+
+  test('serves Content-Length framing over TCP across split chunks', async () => {
+    const rpc = createRpc();
+    transport = await rpc.listenStream(
+      { port: 0, host: '127.0.0.1' },
+      {
+        framing: 'content-length',
+      }
+    );
+    const socket = await connect(transport.server.address());
+    sockets.push(socket);
+    const next = reader(socket, 'content-length');
+
+    const call = frame(
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'greet',
+        params: { name: 'é' },
+        id: 7,
+      })
+    );
+    socket.write(call.slice(0, 10));
+    socket.write(call.slice(10) + frame('[]'));
+
+    const messages = await next(2);
+    const single = messages.find((message) => message.id === 7);
+    const empty = messages.find((message) => message.id === null);
+
+    expect(single).toEqual({ jsonrpc: '2.0', id: 7, result: 'hi é' });
+    expect(empty.error.code).toBe(-32600);
+  });
+
+  test('serves a Unix socket and closes connections that break the framing', async () => {
+    const rpc = createRpc();
+    const socketPath = path.join(os.tmpdir(), `rpc-stream-${process.pid}.sock`);
+    transport = await rpc.listenStream(
+      { path: socketPath },
+      {
+        framing: 'content-length',
+      }
+    );
+    const socket = await connect({ path: socketPath });
+    sockets.push(socket);
+    const next = reader(socket, 'content-length');
+    const closed = new Promise((resolve) => {
+      socket.once('close', resolve);
+    });
+
+    socket.write('Content-Type: nope\r\n\r\n{}');
+
+    const [error] = await next(1);
+    await closed;
+
+    expect(error).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32700, message: 'Parse error' },
+    });
+    await expect(
+      rpc.listenStream(new PassThrough(), { framing: 'xml' })
+    ).rejects.toThrow(
+      'Invalid framing option "xml": expected one of ndjson, content-length'
+    );
+  });
+
+  test('serves safe-mode endpoints without a safe header', async () => {
+    const rpc = createRpc({ safeEnabled: true });
+    const input = new PassThrough();
+    const output = new PassThrough();
+    transport = await rpc.listenStream({ readable: input, writable: output });
+    const plainInput = new PassThrough();
+    const plainOutput = new PassThrough();
+    const plain = await rpc.listenStream(
+      { readable: plainInput, writable: plainOutput },
+      { safeEnabled: false }
+    );
+    const next = reader(output, 'ndjson');
+    const nextPlain = reader(plainOutput, 'ndjson');
+
+    const request = {
+      jsonrpc: '2.0',
+      method: 'greet',
+      params: { name: 'S:ada' },
+      id: 1,
+    };
+    input.write(`${JSON.stringify(request)}\n`);
+    plainInput.write(`${JSON.stringify(request)}\n`);
+
+    const [safe] = await next(1);
+    const [unprefixed] = await nextPlain(1);
+    await plain.close();
+
+    expect(safe).toEqual({ jsonrpc: '2.0', id: 1, result: 'S:hi ada' });
+    expect(unprefixed.error).toBeUndefined();
+    expect(unprefixed.result).toBe('S:hi S:ada');
+  });
+});
@@ -0,0 +1,181 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+function collectText(res, callback) {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => {
+    text += chunk;
+  });
+  res.on('end', () => callback(null, text));
+}
+
+function parseNdjson(text) {
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+async function* countTo(n) {
+  for (let i = 1; i <= n; i += 1) {
+    yield { n: i, big: BigInt(i) };
+  }
+}
+
+describe('Streaming results', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  test('streams async-iterable results as NDJSON', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const afterCall = jest.fn();
+    rpc.use('afterCall', afterCall);
+    rpc.addMethod('export', () => countTo(2));
+
+    const res = await request(app)
+      .post('/api')
+      .set('Accept', 'application/x-ndjson')
+      .send({ jsonrpc: '2.0', method: 'export', id: 1 })
+      .buffer(true)
+      .parse(collectText);
+
+    expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(parseNdjson(res.body)).toEqual([
+      { jsonrpc: '2.0', id: 1, chunk: { n: 1, big: '1n' } },
+      { jsonrpc: '2.0', id: 1, chunk: { n: 2, big: '2n' } },
+      { jsonrpc: '2.0', id: 1, result: { done: true, count: 2 } },
+    ]);
+    expect(afterCall).toHaveBeenCalledWith(
+      expect.objectContaining({ result: { done: true, count: 2 } })
+    );
+  });
+
+  test('streams Server-Sent Events and ends with an error frame on failure', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('search', async function* search() {
+      yield 'first';
+      const error = new Error('Index unavailable');
+      error.code = -32050;
+      throw error;
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .set('Accept', 'text/event-stream')
+      .send({ jsonrpc: '2.0', method: 'search', id: 7 })
+      .buffer(true)
+      .parse(collectText);
+
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(res.body).toBe(
+      'event: chunk\ndata: {"jsonrpc":"2.0","id":7,"chunk":"first"}\n\n' +
+        'event: error\ndata: {"jsonrpc":"2.0","id":7,"error":{"code":-32050,"message":"Index unavailable"}}\n\n'
+    );
+  });
+
+  test('buffers iterables into an array for plain JSON clients and batches', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('export', () => countTo(2));
+
+    const single = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'export', id: 1 });
+    const batch = await request(app)
+      .post('/api')
+      .set('Accept', 'application/x-ndjson')
+      .send([{ jsonrpc: '2.0', method: 'export', id: 2 }])
+      .buffer(true)
+      .parse(collectText);
+
+    const expected = [
+      { n: 1, big: '1n' },
+      { n: 2, big: '2n' },
+    ];
+    expect(single.body.result).toEqual(expected);
+    expect(parseNdjson(batch.body)[0].result).toEqual(expected);
+  });
+
+  test('streams NDJSON batch responses in completion order with a summary', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('wait', async (req, ctx, params) => {
+      await new Promise((resolve) => {
+        setTimeout(resolve, params.ms);
+      });
+      return params.ms;
+    });
+    rpc.addMethod('fail', () => {
+      throw new Error('Nope');
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .set('Accept', 'application/x-ndjson')
+      .send([
+        { jsonrpc: '2.0', method: 'wait', params: { ms: 60 }, id: 'slow' },
+        { jsonrpc: '2.0', method: 'wait', params: { ms: 1 }, id: 'fast' },
+        { jsonrpc: '2.0', method: 'fail', id: 'bad' },
+        { jsonrpc: '2.0', method: 'wait', params: { ms: 1 } },
+      ])
+      .buffer(true)
+      .parse(collectText);
+
+    const lines = parseNdjson(res.body);
+    const summary = lines.pop();
+    expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(res.headers['x-rpc-safe-enabled']).toBe('false');
+    expect(lines.map((line) => line.id)).toEqual(['bad', 'fast', 'slow']);
+    expect(lines[0].error).toMatchObject({ message: 'Nope', data: { batchIndex: 2 } });
+    expect(summary).toEqual({
+      jsonrpc: '2.0',
+      summary: {
+        total: 4,
+        responses: 3,
+        errors: 1,
+        notifications: 1,
+        duration: expect.any(Number),
+        slowest: { batchIndex: 0, id: 'slow', duration: expect.any(Number) },
+      },
+    });
+    expect(summary.summary.slowest.duration).toBeGreaterThanOrEqual(50);
+  });
+
+  test('answers invalid batches and non-NDJSON clients with plain JSON', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('ping', () => 'pong');
+
+    const empty = await request(app)
+      .post('/api')
+      .set('Accept', 'application/x-ndjson')
+      .send([]);
+    const sse = await request(app)
+      .post('/api')
+      .set('Accept', 'text/event-stream')
+      .send([{ jsonrpc: '2.0', method: 'ping', id: 1 }]);
+
+    expect(empty.body.error.code).toBe(-32600);
+    expect(sse.headers['content-type']).toMatch(/^application\/json/);
+    expect(sse.body).toEqual([{ jsonrpc: '2.0', id: 1, result: 'pong' }]);
+  });
+});
@@ -0,0 +1,121 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  return { app, rpc };
+}
+
+describe('Method timeouts', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+  });
+
+  test('returns a timeout error and aborts the handler signal', async () => {
+    const { app, rpc } = createAppWithRpc();
+    let receivedSignal;
+
+    rpc.addMethod('slow', {
+      timeout: 20,
+      handler: (req, ctx, params, { signal }) => {
+        receivedSignal = signal;
+        return new Promise(() => {});
+      },
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'slow', id: 1 });
+
+    expect(res.body.error).toMatchObject({
+      code: -32008,
+      message: 'Method "slow" timed out after 20ms',
+      data: { method: 'slow', timeout: 20 },
+    });
+    expect(receivedSignal.aborted).toBe(true);
+  });
+
+  test('applies the endpoint default timeout and lets methods override it', async () => {
+    const { app, rpc } = createAppWithRpc({ timeout: 20 });
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    rpc.addMethod('slow', async () => {
+      await wait(200);
+      return 'late';
+    });
+    rpc.addMethod('patient', async () => {
+      await wait(50);
+      return 'done';
+    }, { timeout: 1000 });
+
+    const slow = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'slow', id: 1 });
+    const patient = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'patient', id: 2 });
+
+    expect(slow.body.error.code).toBe(-32008);
+    expect(patient.body.result).toBe('done');
+  });
+
+  test('applies timeouts to batch items', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('slow', { timeout: 20, handler: () => new Promise(() => {}) });
+    rpc.addMethod('fast', () => 'ok');
+
+    const res = await request(app)
+      .post('/api')
+      .send([
+        { jsonrpc: '2.0', method: 'slow', id: 1 },
+        { jsonrpc: '2.0', method: 'fast', id: 2 },
+      ]);
+
+    expect(res.body[0].error).toMatchObject({
+      code: -32008,
+      data: { timeout: 20, batchIndex: 0 },
+    });
+    expect(res.body[1].result).toBe('ok');
+  });
+
+  test('exposes the effective timeout via __rpc.describe', async () => {
+    const { app, rpc } = createAppWithRpc({
+      enableIntrospection: true,
+      timeout: 5000,
+    });
+    rpc.addMethod('report', () => 'ok', { exposeSchema: true, timeout: 100 });
+    rpc.addMethod('ping', () => 'pong', { exposeSchema: true });
+
+    const report = await request(app)
+      .post('/api')
+      .send({
+        jsonrpc: '2.0',
+        method: '__rpc.describe',
+        params: { method: 'report' },
+        id: 1,
+      });
+    const ping = await request(app)
+      .post('/api')
+      .send({
+        jsonrpc: '2.0',
+        method: '__rpc.describe',
+        params: { method: 'ping' },
+        id: 2,
+      });
+
+    expect(report.body.result.timeout).toBe(100);
+    expect(ping.body.result.timeout).toBe(5000);
+  });
+});
@@ -0,0 +1,203 @@
+const express = require('express');
+const request = require('supertest');
+const { RpcEndpoint } = require('../src/index');
+
+function createAppWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, {}, { safeEnabled: false, ...options });
+  rpc.addMethod('users.get', (req, ctx, params) => ({ name: params.id }), {
+    schema: { type: 'object', properties: { id: { type: 'string' } } },
+    exposeSchema: true,
+  });
+  rpc.addMethod(
+    'users.get',
+    (req, ctx, params) => ({ firstName: params.id, lastName: 'Doe' }),
+    {
+      version: 2,
+      schema: { type: 'object', properties: { id: { type: 'string' } } },
+      description: 'Split names',
+      exposeSchema: true,
+    }
+  );
+  return { app, rpc };
+}
+
+describe('Method versioning', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+  });
+
+  test('routes to the latest version by default', async () => {
+    const { app } = createAppWithRpc();
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'users.get', params: { id: 'ada' }, id: 1 });
+
+    expect(res.body.result).toEqual({ firstName: 'ada', lastName: 'Doe' });
+  });
+
+  test('selects a version by method suffix or header', async () => {
+    const { app } = createAppWithRpc();
+
+    const suffix = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'users.get@1', params: { id: 'ada' }, id: 1 });
+    const header = await request(app)
+      .post('/api')
+      .set('X-RPC-Method-Version', '1')
+      .send({ jsonrpc: '2.0', method: 'users.get', params: { id: 'ada' }, id: 2 });
+
+    expect(suffix.body.result).toEqual({ name: 'ada' });
+    expect(header.body.result).toEqual({ name: 'ada' });
+  });
+
+  test('the method suffix wins over the header, in batches too', async () => {
+    const { app } = createAppWithRpc();
+
+    const res = await request(app)
+      .post('/api')
+      .set('X-RPC-Method-Version', '1')
+      .send([
+        { jsonrpc: '2.0', method: 'users.get@2', params: { id: 'ada' }, id: 1 },
+        { jsonrpc: '2.0', method: 'users.get', params: { id: 'bob' }, id: 2 },
+      ]);
+
+    expect(res.body[0].result).toEqual({ firstName: 'ada', lastName: 'Doe' });
+    expect(res.body[1].result).toEqual({ name: 'bob' });
+  });
+
+  test('reports unknown versions as method not found', async () => {
+    const { app } = createAppWithRpc();
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'users.get@5', id: 1 });
+
+    expect(res.body.error).toEqual({
+      code: -32601,
+      message: 'Method "users.get" version 5 not found',
+    });
+  });
+
+  test('exposes the resolved version to middleware and call objects', async () => {
+    const { app, rpc } = createAppWithRpc();
+    const seen = [];
+    rpc.use('beforeCall', (ctx) => {
+      seen.push(`${ctx.method}@${ctx.version}`);
+    });
+    rpc.addMethod('ping', (params, call) => call.version, {
+      version: 3,
+      handlerSignature: 'call',
+    });
+
+    const res = await request(app)
+      .post('/api')
+      .send({ jsonrpc: '2.0', method: 'ping', id: 1 });
+
+    expect(res.body.result).toBe(3);
+    expect(seen).toEqual(['ping@3']);
+  });
+
+  test('removes a single version or all of them', () => {
+    const { rpc } = createAppWithRpc();
+
+    rpc.removeMethod('users.get@2');
+    expect(rpc.getMethod('users.get@2')).toBeUndefined();
+    expect(rpc.getMethod('users.get')).toBe(rpc.getMethod('users.get@1'));
+
+    rpc.removeMethod('users.get');
+    expect(rpc.listMethods()).not.toContain('users.get');
+  });
+
+  test('rejects invalid versions and names', () => {
+    const { rpc } = createAppWithRpc();
+
+    expect(() => rpc.addMethod('bad', () => 1, { version: 0 })).toThrow(
+      /Invalid version/
+    );
+    expect(() => rpc.addMethod('bad@2', () => 1)).toThrow(/reserved/);
+  });
+
+  test('describe reports every version with its schema', async () => {
+    const { app } = createAppWithRpc({ enableIntrospection: true });
+
+    const res = await request(app)
+      .post('/api')
+      .send({
+        jsonrpc: '2.0',
+        method: '__rpc.describe',
+        params: { method: 'users.get' },
+        id: 1,
+      });
+
+    expect(res.body.result).toMatchObject({
+      name: 'users.get',
+      version: 2,
+      description: 'Split names',
+      versions: [
+        { version: 1, schema: { type: 'object' } },
+        { version: 2, description: 'Split names' },
+      ],
+    });
+  });
+
+  test('the header falls back for methods without that version, the suffix does not', async () => {
+    const { app, rpc } = createAppWithRpc({ enableIntrospection: true });
+    rpc.addMethod('ping', () => 'pong');
+    rpc.addMethod('report', () => 'v1');
+    rpc.addMethod('report', () => 'v3', { version: 3 });
+
+    const res = await request(app)
+      .post('/api')
+      .set('X-RPC-Method-Version', '2')
+      .send([
+        { jsonrpc: '2.0', method: 'users.get', params: { id: 'ada' }, id: 1 },
+        { jsonrpc: '2.0', method: 'ping', id: 2 },
+        { jsonrpc: '2.0', method: 'report', id: 3 },
+        { jsonrpc: '2.0', method: '__rpc.listMethods', id: 4 },
+        { jsonrpc: '2.0', method: 'ping@2', id: 5 },
+      ]);
+
+    expect(res.body[0].result).toEqual({ firstName: 'ada', lastName: 'Doe' });
+    expect(res.body[1].result).toBe('pong');
+    expect(res.body[2].result).toBe('v1');
+    expect(res.body[3].result).toEqual(['users.get', 'ping', 'report']);
+    expect(res.body[4].error).toEqual({
+      code: -32601,
+      message: 'Method "ping" version 2 not found',
+      data: { batchIndex: 4 },
+    });
+  });
+
+  test('the header never resolves to a newer version', async () => {
+    const { app, rpc } = createAppWithRpc();
+    rpc.addMethod('report', () => 'v2', { version: 2 });
+    rpc.addMethod('report', () => 'v3', { version: 3 });
+
+    const res = await request(app)
+      .post('/api')
+      .set('X-RPC-Method-Version', '1')
+      .send([
+        { jsonrpc: '2.0', method: 'users.get', params: { id: 'ada' }, id: 1 },
+        { jsonrpc: '2.0', method: 'report', id: 2 },
+      ]);
+
+    expect(res.body[0].result).toEqual({ name: 'ada' });
+    expect(res.body[1].error).toEqual({
+      code: -32601,
+      message: 'Method "report" version 1 not found',
+      data: { batchIndex: 1 },
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+const { RpcEndpoint } = require('../src/index');
+
+function createServerWithRpc(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const rpc = new RpcEndpoint(app, { greeting: 'hi' }, {
+    safeEnabled: false,
+    ...options,
+  });
+  const server = http.createServer(app);
+  return { app, rpc, server };
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, () => resolve(server.address().port));
+  });
+}
+
+function connect(port, path = '/api', headers = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`, { headers });
+    ws.once('open', () => resolve(ws));
+    ws.once('unexpected-response', (req, res) =>
+      reject(new Error(`Unexpected status ${res.statusCode}`))
+    );
+    ws.once('error', reject);
+  });
+}
+
+function call(ws, payload) {
+  return new Promise((resolve) => {
+    ws.once('message', (data) => resolve(JSON.parse(data.toString())));
+    ws.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+  });
+}
+
+describe('WebSocket transport', () => {
+  let consoleErrorSpy;
+  let consoleInfoSpy;
+  let consoleWarnSpy;
+  let server;
+  let transport;
+  let sockets;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleInfoSpy = jest.spyOn(console, 'info').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    sockets = [];
+  });
+
+  afterEach(async () => {
+    sockets.forEach((ws) => ws.terminate());
+    if (transport) await transport.close();
+    if (server) await new Promise((resolve) => server.close(resolve));
+    transport = null;
+    server = null;
+    consoleErrorSpy.mockRestore();
+    consoleInfoSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  async function start(options, wsOptions) {
+    const created = createServerWithRpc(options);
+    ({ server } = created);
+    transport = created.rpc.attachWebSocket(server, wsOptions);
+    const port = await listen(server);
+    return { ...created, port };
+  }
+
+  async function open(port, path, headers) {
+    const ws = await connect(port, path, headers);
+    sockets.push(ws);
+    return ws;
+  }
+
+  test('answers single calls and batches with the shared registry', async () => {
+    const { rpc, port } = await start();
+    rpc.addMethod('greet', (req, ctx, params) => `${ctx.greeting} ${params.name}`, {
+      schema: {
+        type: 'object',
+        properties: { name: { type: 'string' } },
+        required: ['name'],
+      },
+    });
+    const ws = await open(port);
+
+    const single = await call(ws, {
+      jsonrpc: '2.0',
+      method: 'greet',
+      params: { name: 'ada' },
+      id: 1,
+    });
+    const batch = await call(ws, [
+      { jsonrpc: '2.0', method: 'greet', params: { name: 'bob' }, id: 2 },
+      { jsonrpc: '2.0', method: 'greet', params: {}, id: 3 },
+      { jsonrpc: '2.0', method: 'greet', params: { name: 'eve' } },
+    ]);
+
+    expect(single).toEqual({ jsonrpc: '2.0', id: 1, result: 'hi ada' });
+    expect(batch).toHaveLength(2);
+    expect(batch[0].result).toBe('hi bob');
+    expect(batch[1].error).toMatchObject({ code: -32602, data: { batchIndex: 1 } });
+  });
+
+  test('reports parse errors and unknown methods without batchIndex', async () => {
+    const { port } = await start();
+    const ws = await open(port);
+
+    const parse = await call(ws, '{not json');
+    const missing = await call(ws, { jsonrpc: '2.0', method: 'nope', id: 1 });
+
+    expect(parse.error).toEqual({ code: -32700, message: 'Parse error' });
+    expect(missing.error).toEqual({
+      code: -32601,
+      message: 'Method "nope" not found',
+    });
+  });
+
+  test('runs connection auth once and shares the principal', async () => {
+    const auth = jest.fn((req) =>
+      req.headers.authorization === 'Bearer ok' ? { userId: 7 } : false
+    );
+    const { rpc, port } = await start({ auth, handlerSignature: 'call' });
+    rpc.addMethod('whoami', (params, { principal }) => principal);
+
+    await expect(connect(port)).rejects.toThrow('Unexpected status 401');
+
+    const ws = await open(port, '/api', { Authorization: 'Bearer ok' });
+    const first = await call(ws, { jsonrpc: '2.0', method: 'whoami', id: 1 });
+    const second = await call(ws, { jsonrpc: '2.0', method: 'whoami', id: 2 });
+
+    expect(first.result).toEqual({ userId: 7 });
+    expect(second.result).toEqual({ userId: 7 });
+    expect(auth).toHaveBeenCalledTimes(2);
+  });
+
+  test('accepts upgrades only on the configured path', async () => {
+    const { rpc, port } = await start({}, { path: '/ws' });
+    rpc.addMethod('ping', () => 'pong');
+
+    const ws = await open(port, '/ws');
+    const res = await call(ws, { jsonrpc: '2.0', method: 'ping', id: 1 });
+
+    expect(res.result).toBe('pong');
+    expect(transport.clients.size).toBe(1);
+  });
+
+  test('serves safe-mode endpoints to clients that cannot send headers', async () => {
+    const { rpc, port } = await start({ safeEnabled: true });
+    rpc.addMethod(
+      'greet',
+      (req, ctx, params) => `${ctx.greeting} ${params.name}`
+    );
+    const ws = await open(port);
+
+    const res = await call(ws, {
+      jsonrpc: '2.0',
+      method: 'greet',
+      params: { name: 'S:ada' },
+      id: 1,
+    });
+
+    expect(res).toEqual({ jsonrpc: '2.0', id: 1, result: 'S:hi ada' });
+  });
+});
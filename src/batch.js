@@ -2,19 +2,110 @@
  * @file BatchHandler Class
  * @description Handles JSON-RPC 2.0 batch requests processing multiple requests in a single call
  */
-const { addBatchIndex, hasOwn, validateEnvelope } = require('./protocol');
+const {
+  BATCH_MODE_HEADER,
+  addBatchIndex,
+  batchModes,
+  hasOwn,
+  validateEnvelope,
+} = require('./protocol');
+const {
+  InvalidParamsError,
+  RpcMethodError,
+  TransactionRolledBackError,
+} = require('./errors');
+const { createDisconnectSignal } = require('./cancellation');
+const { methodNotFoundMessage } = require('./versioning');
+const {
+  bufferResult,
+  createQueue,
+  isAsyncIterable,
+  streamFrames,
+} = require('./streaming');
+const { resolveReferences } = require('./references');
 
-class BatchHandler {
-  constructor(endpoint) {
-    this.endpoint = endpoint;
+/**
+ * Response metadata sink writing HTTP headers to an Express response
+ * @param {Object|null} res
+ * @returns {((name: string, value: any) => void)|null}
+ */
+function headerSetter(res) {
+  if (!res || typeof res.setHeader !== 'function') {
+    return null;
+  }
+  return (name, value) => {
+    if (!res.headersSent) {
+      res.setHeader(name, value);
+    }
+  };
+}
+
+/**
+ * Key identifying a params value regardless of object key order. Values are
+ * tagged by type, so `"1n"` and `1n` (or an ISO string and a Date, with
+ * binary encodings) differ.
+ * @param {any} value
+ * @returns {string}
+ */
+function paramsKey(value) {
+  if (typeof value === 'bigint') {
+    return `${value}n`;
+  }
+  if (value instanceof Date) {
+    return `Date(${value.toISOString()})`;
+  }
+  if (value instanceof Uint8Array) {
+    return `Bytes(${Buffer.from(value).toString('base64')})`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(paramsKey).join(',')}]`;
   }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${paramsKey(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
 
-  serializeErrorData(error, batchIndex) {
-    const errorWithBatchIndex = addBatchIndex(error, batchIndex);
-    if (!hasOwn(errorWithBatchIndex, 'data')) {
-      return undefined;
+/**
+ * Limit how many tasks run at once; further tasks wait in FIFO order
+ * @param {number} [concurrency] Unlimited when undefined
+ * @returns {(task: () => Promise<any>) => Promise<any>}
+ */
+function createLimiter(concurrency) {
+  if (!concurrency) {
+    return (task) => task();
+  }
+
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
     }
-    return this.endpoint.serializeBigIntsAndDates(errorWithBatchIndex.data);
+    active += 1;
+    const { task, resolve } = queue.shift();
+    const running = task();
+    resolve(running);
+    const release = () => {
+      active -= 1;
+      next();
+    };
+    running.then(release, release);
+  };
+
+  return (task) =>
+    new Promise((resolve) => {
+      queue.push({ task, resolve });
+      next();
+    });
+}
+
+class BatchHandler {
+  constructor(endpoint) {
+    this.endpoint = endpoint;
   }
 
   /**
@@ -26,12 +117,25 @@ class BatchHandler {
     return Array.isArray(body);
   }
 
+  /**
+   * Execution mode of a batch: the `X-RPC-Batch-Mode` header, else the
+   * `batch.mode` option
+   * @param {Object} [req]
+   * @returns {string}
+   */
+  batchMode(req) {
+    return (
+      req?.headers?.[BATCH_MODE_HEADER] ?? this.endpoint.options.batch.mode
+    );
+  }
+
   /**
    * Validate batch request
    * @param {Array} batch
+   * @param {Object} [req] Request carrying the `X-RPC-Batch-Mode` header
    * @returns {Object}
    */
-  validateBatch(batch) {
+  validateBatch(batch, req) {
     if (!Array.isArray(batch)) {
       return {
         valid: false,
@@ -52,74 +156,707 @@ class BatchHandler {
       };
     }
 
+    const { maxSize } = this.endpoint.options.batch;
+    if (maxSize !== undefined && batch.length > maxSize) {
+      return {
+        valid: false,
+        error: {
+          code: -32600,
+          message: `Invalid Request: Batch of ${batch.length} requests exceeds the limit of ${maxSize}`,
+          data: { size: batch.length, maxSize },
+        },
+      };
+    }
+
+    const mode = this.batchMode(req);
+    if (!batchModes.includes(mode)) {
+      return {
+        valid: false,
+        error: {
+          code: -32600,
+          message: `Invalid Request: X-RPC-Batch-Mode must be one of ${batchModes.join(', ')}`,
+          data: { mode },
+        },
+      };
+    }
+
+    if (this.endpoint.options.batch.duplicateIds === 'reject') {
+      const ids = this.#duplicateIds(batch);
+      if (ids.length > 0) {
+        return {
+          valid: false,
+          error: {
+            code: -32600,
+            message: 'Invalid Request: Batch contains duplicate ids',
+            data: { ids },
+          },
+        };
+      }
+    }
+
     return { valid: true };
   }
 
   /**
-   * Process a batch of JSON-RPC requests
+   * Ids used by more than one batch item, in order of first repetition
+   * @param {Array} batch
+   * @returns {Array<string|number|null>}
+   */
+  #duplicateIds(batch) {
+    const seen = new Set();
+    const duplicates = new Set();
+    batch.forEach((request) => {
+      if (request === null || typeof request !== 'object') {
+        return;
+      }
+      if (!hasOwn(request, 'id')) {
+        return;
+      }
+      if (seen.has(request.id)) {
+        duplicates.add(request.id);
+      }
+      seen.add(request.id);
+    });
+    return [...duplicates];
+  }
+
+  /**
+   * Validate a batch and run the `beforeBatch` middleware once for it. The
+   * middleware sees `{ req, res, batch, stats, context, connection,
+   * principal, state }`; it rejects the batch by throwing, may return a
+   * rewritten `batch` (validated again), and whatever `principal` and
+   * `state` it leaves are passed to every item's middleware context (as
+   * `principal` and `batchState`).
    * @param {Array} batch
    * @param {Object} req
-   * @param {Object} res
    * @param {any} context
-   * @returns {Promise<Array>}
+   * @param {Object} [transport]
+   * @param {Object} [transport.res]
+   * @param {Object} [transport.connection]
+   * @param {any} [transport.principal]
+   * @param {boolean} [transport.nativeTypes=false]
+   * @returns {Promise<{ batchContext: Object }|{ error: Object }>}
    */
-  async processBatch(batch, req, res, context) {
-    const validation = this.validateBatch(batch);
+  async prepareBatch(
+    batch,
+    req,
+    context,
+    { res = null, connection, principal, nativeTypes = false } = {}
+  ) {
+    const validation = this.validateBatch(batch, req);
     if (!validation.valid) {
+      return { error: validation.error };
+    }
+
+    let batchContext;
+    try {
+      batchContext = await this.endpoint.middleware.execute('beforeBatch', {
+        req,
+        res,
+        batch,
+        stats: this.getBatchStats(batch),
+        context,
+        connection,
+        principal,
+        state: {},
+      });
+    } catch (error) {
+      this.endpoint.logger.warn('Batch rejected', {
+        batchSize: batch.length,
+        reason: error.message,
+      });
+      return { error: this.endpoint.formatError(error, { req, nativeTypes }) };
+    }
+
+    if (batchContext.batch !== batch) {
+      const revalidation = this.validateBatch(batchContext.batch, req);
+      if (!revalidation.valid) {
+        return { error: revalidation.error };
+      }
+      batchContext.stats = this.getBatchStats(batchContext.batch);
+    }
+
+    return { batchContext };
+  }
+
+  /**
+   * Run the `afterBatch` middleware with the responses about to be sent
+   * (`ctx.responses`, notifications already left out) and the batch
+   * duration. Returning `{ responses }` replaces them.
+   * @param {Object} batchContext Context from prepareBatch()
+   * @param {Array<Object>} responses
+   * @param {number} startTime
+   * @returns {Promise<Array<Object>>}
+   */
+  async #afterBatch(batchContext, responses, startTime) {
+    const result = await this.endpoint.middleware.execute('afterBatch', {
+      ...batchContext,
+      responses,
+      duration: Date.now() - startTime,
+    });
+    return Array.isArray(result.responses) ? result.responses : responses;
+  }
+
+  /**
+   * Commit the transaction of a transactional batch if every item succeeded,
+   * otherwise roll it back (with the error of the first failed item) and
+   * replace the responses of the items that succeeded with a
+   * TransactionRolledBackError. A failed commit is rolled back too.
+   * @param {any} transaction Value returned by `transaction.begin()`
+   * @param {Array<Object|null>} results Item responses in batch order
+   * @param {Map<number, any>} failures Errors of failed items (notifications included) by batch index
+   * @param {Object} call
+   * @param {Array} call.batch
+   * @param {Object} call.req
+   * @param {boolean} call.nativeTypes
+   * @returns {Promise<Array<Object|null>>}
+   */
+  async #settleTransaction(
+    transaction,
+    results,
+    failures,
+    { batch, req, nativeTypes }
+  ) {
+    const { commit, rollback } = this.endpoint.options.batch.transaction;
+    const { logger } = this.endpoint;
+
+    results.forEach((response, index) => {
+      if (response?.error && !failures.has(index)) {
+        const { message, code, data } = response.error;
+        failures.set(index, new RpcMethodError(message, code, data));
+      }
+    });
+
+    let rolledBack;
+    let cause;
+    if (failures.size === 0) {
+      try {
+        await commit(transaction);
+        return results;
+      } catch (commitError) {
+        logger.error('Batch transaction commit failed', {
+          error: commitError.message,
+        });
+        rolledBack = new TransactionRolledBackError(
+          'Transaction rolled back: commit failed'
+        );
+        cause = commitError;
+      }
+    } else {
+      const failed = [...failures.keys()].sort((a, b) => a - b);
+      rolledBack = new TransactionRolledBackError(undefined, { failed });
+      cause = failures.get(failed[0]);
+    }
+
+    try {
+      await rollback(transaction, cause);
+    } catch (rollbackError) {
+      logger.error('Batch transaction rollback failed', {
+        error: rollbackError.message,
+      });
+    }
+    logger.warn('Batch transaction rolled back', {
+      batchSize: batch.length,
+      failed: [...failures.keys()],
+    });
+
+    return results.map((response, index) => {
+      if (response === null || response.error) {
+        return response;
+      }
       return {
         jsonrpc: '2.0',
-        id: null,
-        error: validation.error,
+        id: response.id,
+        error: this.endpoint.formatError(rolledBack, {
+          method: batch[index].method,
+          id: response.id,
+          params: batch[index].params,
+          req,
+          batchIndex: index,
+          nativeTypes,
+        }),
       };
+    });
+  }
+
+  /**
+   * Transport options for the items of a prepared batch
+   * @param {Object} batchContext Context from prepareBatch()
+   * @param {Object} transport
+   * @returns {Object}
+   */
+  #itemTransport(batchContext, transport) {
+    return {
+      ...transport,
+      principal: batchContext.principal,
+      batchState: batchContext.state,
+      authenticatedBy: batchContext.authenticatedBy,
+    };
+  }
+
+  /**
+   * Process a batch of JSON-RPC requests
+   * @param {Array} batch
+   * @param {Object} req
+   * @param {Object} res
+   * @param {any} context
+   * @param {Object} [transport]
+   * @param {AbortSignal} [transport.signal] Aborts in-flight handlers (defaults to `res` disconnect)
+   * @param {(name: string, value: any) => void} [transport.setHeader] Response metadata sink (defaults to `res`)
+   * @param {Object} [transport.connection] Connection the batch arrived on (WebSocket)
+   * @param {any} [transport.principal] Caller identity established by the transport
+   * @param {boolean} [transport.nativeTypes=false] Values are carried natively by a binary encoding
+   * @returns {Promise<Array|Object>} Responses, or a single error response when the batch is rejected
+   */
+  async processBatch(
+    batch,
+    req,
+    res,
+    context,
+    { signal, setHeader, connection, principal, nativeTypes = false } = {}
+  ) {
+    const startTime = Date.now();
+    const { batchContext, error } = await this.prepareBatch(
+      batch,
+      req,
+      context,
+      { res, connection, principal, nativeTypes }
+    );
+    if (error) {
+      return { jsonrpc: '2.0', id: null, error };
     }
 
-    // Process all requests in parallel
-    const promises = batch.map(async (request, index) => {
+    const { transactional, transaction: adapter } = this.endpoint.options.batch;
+    let transaction;
+    if (transactional) {
       try {
-        return await this.processSingleRequest(request, req, context, index);
-      } catch (error) {
-        const errorData = this.serializeErrorData(error, index);
+        transaction = await adapter.begin(batchContext);
+      } catch (beginError) {
+        this.endpoint.logger.error('Batch transaction could not begin', {
+          error: beginError.message,
+        });
         return {
           jsonrpc: '2.0',
-          id: request && hasOwn(request, 'id') ? request.id : null,
-          error: {
-            code: error.code || -32603,
-            message: error.message || 'Internal error',
-            ...(errorData !== undefined && { data: errorData }),
-          },
+          id: null,
+          error: this.endpoint.formatError(beginError, { req, nativeTypes }),
         };
       }
-    });
+    }
 
-    const results = await Promise.all(promises);
+    // Abort in-flight handlers if the client disconnects mid-batch
+    const abortSignal = signal ?? createDisconnectSignal(res);
+    const batchSetHeader = setHeader ?? headerSetter(res);
+    const failures = new Map();
+
+    // Responses keep the batch order whatever the execution order
+    let results = await Promise.all(
+      this.#schedule(
+        batchContext.batch,
+        req,
+        context,
+        this.#itemTransport(batchContext, {
+          setHeader: batchSetHeader,
+          signal: abortSignal,
+          connection,
+          nativeTypes,
+          ...(transactional && {
+            transaction,
+            onFailure: (index, failure) => failures.set(index, failure),
+          }),
+        })
+      )
+    );
+
+    if (transactional) {
+      results = await this.#settleTransaction(transaction, results, failures, {
+        batch: batchContext.batch,
+        req,
+        nativeTypes,
+      });
+    }
 
     // Filter out notifications (requests without id)
-    return results.filter((result) => result !== null);
+    const responses = results.filter((result) => result !== null);
+    try {
+      return await this.#afterBatch(batchContext, responses, startTime);
+    } catch (afterError) {
+      this.endpoint.logger.error('afterBatch middleware failed', {
+        error: afterError.message,
+      });
+      return {
+        jsonrpc: '2.0',
+        id: null,
+        error: this.endpoint.formatError(afterError, { req, nativeTypes }),
+      };
+    }
+  }
+
+  /**
+   * Process a batch, yielding each item's response as soon as it completes
+   * (completion order, notifications skipped), then a final
+   * `{ jsonrpc, summary }` frame with counts and durations. Headers are
+   * already sent when items run, so `call.set()` has no effect here, and
+   * `afterBatch` middleware only observes the responses. A batch rejected
+   * by `beforeBatch` yields its error response alone.
+   * @param {Array} batch
+   * @param {Object} req
+   * @param {Object|null} res
+   * @param {any} context
+   * @param {Object} [transport]
+   * @param {Object} [transport.batchContext] Context from prepareBatch(), when already prepared
+   * @param {AbortSignal} [transport.signal] Aborts in-flight handlers (defaults to `res` disconnect)
+   * @param {Object} [transport.connection] Connection the batch arrived on
+   * @param {any} [transport.principal] Caller identity established by the transport
+   * @param {boolean} [transport.nativeTypes=false] Values are carried natively by a binary encoding
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *streamBatch(
+    batch,
+    req,
+    res,
+    context,
+    { batchContext, signal, connection, principal, nativeTypes = false } = {}
+  ) {
+    const startTime = Date.now();
+    const prepared = batchContext
+      ? { batchContext }
+      : await this.prepareBatch(batch, req, context, {
+          res,
+          connection,
+          principal,
+          nativeTypes,
+        });
+    if (prepared.error) {
+      yield { jsonrpc: '2.0', id: null, error: prepared.error };
+      return;
+    }
+
+    const items = prepared.batchContext.batch;
+    const abortSignal = signal ?? createDisconnectSignal(res);
+    const scheduled = this.#schedule(
+      items,
+      req,
+      context,
+      this.#itemTransport(prepared.batchContext, {
+        setHeader: null,
+        signal: abortSignal,
+        connection,
+        nativeTypes,
+      })
+    );
+
+    // Responses are queued as items settle, so they stream in completion order
+    const completed = createQueue();
+    const sent = [];
+    let errors = 0;
+    let slowest = null;
+    Promise.all(
+      scheduled.map((item, index) =>
+        item.then((response) => {
+          const settled = { index, response, duration: Date.now() - startTime };
+          if (!slowest || settled.duration > slowest.duration) {
+            slowest = settled;
+          }
+          if (response !== null) {
+            sent.push(response);
+            if (response.error) {
+              errors += 1;
+            }
+            completed.push(response);
+          }
+        })
+      )
+    ).then(
+      () => completed.end(),
+      (error) => completed.fail(error)
+    );
+    yield* completed;
+
+    const summary = {
+      total: items.length,
+      responses: sent.length,
+      errors,
+      notifications: items.length - sent.length,
+      duration: Date.now() - startTime,
+      slowest: {
+        batchIndex: slowest.index,
+        id: slowest.response?.id ?? null,
+        duration: slowest.duration,
+      },
+    };
+    this.endpoint.logger.info('Batch request completed', {
+      batchSize: items.length,
+      responseCount: sent.length,
+      duration: summary.duration,
+      streamed: true,
+    });
+
+    try {
+      await this.#afterBatch(prepared.batchContext, sent, startTime);
+    } catch (afterError) {
+      this.endpoint.logger.error('afterBatch middleware failed', {
+        error: afterError.message,
+      });
+    }
+
+    yield { jsonrpc: '2.0', summary };
+  }
+
+  /**
+   * Start every item of a valid batch and return one response promise per
+   * item. Parallel batches run items concurrently up to `batch.concurrency`,
+   * running identical idempotent calls once with `batch.coalesce`;
+   * sequential batches run them one after another, resolving `$ref`
+   * placeholders against earlier responses.
+   * @param {Array} batch
+   * @param {Object} req
+   * @param {any} context
+   * @param {Object} transport
+   * @returns {Array<Promise<Object|null>>}
+   */
+  #schedule(batch, req, context, transport) {
+    if (this.batchMode(req) !== 'sequential') {
+      const limit = createLimiter(this.endpoint.options.batch.concurrency);
+      const leaders = new Map();
+      return batch.map((request, index) => {
+        const key = this.#coalesceKey(request, req);
+        if (leaders.has(key)) {
+          const leader = leaders.get(key);
+          this.endpoint.logger.debug('Batch item coalesced', {
+            method: request.method,
+            id: request.id,
+            batchIndex: index,
+            leader: leader.index,
+          });
+          return leader.response.then((response) =>
+            this.#fanOut(response, request.id, index)
+          );
+        }
+
+        const response = limit(() =>
+          this.#processItem(request, req, context, index, transport)
+        );
+        if (key !== null) {
+          leaders.set(key, { index, response });
+        }
+        return response;
+      });
+    }
+
+    const responses = [];
+    let previous = Promise.resolve();
+    return batch.map((request, index) => {
+      previous = previous.then(async () => {
+        responses[index] = await this.#processDependent(
+          request,
+          req,
+          context,
+          index,
+          transport,
+          responses
+        );
+        return responses[index];
+      });
+      return previous;
+    });
+  }
+
+  /**
+   * Key under which a batch item is coalesced with identical items, or null
+   * when it runs on its own: `batch.coalesce` must be on and the item a
+   * valid request (not a notification) to an `idempotent: true` method.
+   * @param {any} request
+   * @param {Object} req
+   * @returns {string|null}
+   */
+  #coalesceKey(request, req) {
+    if (!this.endpoint.options.batch.coalesce) {
+      return null;
+    }
+    const envelope = validateEnvelope(request);
+    if (!envelope.valid || envelope.isNotification) {
+      return null;
+    }
+    const resolved = this.endpoint.resolveMethod(request.method, req.headers);
+    if (resolved?.config?.idempotent !== true) {
+      return null;
+    }
+    return `${resolved.name}@${resolved.version}:${paramsKey(request.params)}`;
+  }
+
+  /**
+   * Copy the response of a coalesced call for another item of the batch
+   * @param {Object} response Response of the item that ran
+   * @param {string|number|null} id Id of the other item
+   * @param {number} index Position of the other item
+   * @returns {Object}
+   */
+  #fanOut(response, id, index) {
+    if (response.error) {
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: addBatchIndex(response.error, index),
+      };
+    }
+    return { jsonrpc: '2.0', id, result: response.result };
   }
 
   /**
-   * Process a single request within a batch
+   * Process a sequential batch item after resolving its `$ref` placeholders.
+   * An unresolvable reference or a failed dependency fails the item without
+   * running it.
+   * @param {any} request
+   * @param {Object} req
+   * @param {any} context
+   * @param {number} index
+   * @param {Object} transport
+   * @param {Array<Object|null>} responses Responses of the earlier items
+   * @returns {Promise<Object|null>}
+   */
+  async #processDependent(request, req, context, index, transport, responses) {
+    let resolved;
+    try {
+      resolved = resolveReferences(request, index, responses);
+    } catch (error) {
+      this.endpoint.logger.warn('Batch item not run', {
+        method: request.method,
+        id: request.id,
+        batchIndex: index,
+        reason: error.message,
+      });
+
+      transport.onFailure?.(index, error);
+      if (!hasOwn(request, 'id')) {
+        return null;
+      }
+      return {
+        jsonrpc: '2.0',
+        id: request.id,
+        error: this.endpoint.formatError(error, {
+          method: request.method,
+          id: request.id,
+          params: request.params,
+          req,
+          batchIndex: index,
+          nativeTypes: transport.nativeTypes,
+        }),
+      };
+    }
+
+    return this.#processItem(resolved, req, context, index, transport);
+  }
+
+  /**
+   * Process a batch item, turning unexpected failures into its error response
    * @param {Object} request
    * @param {Object} req
    * @param {any} context
-   * @param {number} batchIndex
+   * @param {number} index
+   * @param {Object} transport
    * @returns {Promise<Object|null>}
    */
-  async processSingleRequest(request, req, context, batchIndex) {
-    const { method, params, id } = request || {};
+  async #processItem(request, req, context, index, transport) {
+    try {
+      return await this.processSingleRequest(
+        request,
+        req,
+        context,
+        index,
+        transport
+      );
+    } catch (error) {
+      return {
+        jsonrpc: '2.0',
+        id: request && hasOwn(request, 'id') ? request.id : null,
+        error: this.endpoint.formatError(error, {
+          method: request?.method,
+          id: request?.id,
+          params: request?.params,
+          req,
+          batchIndex: index,
+          nativeTypes: transport.nativeTypes,
+        }),
+      };
+    }
+  }
+
+  /**
+   * Process one JSON-RPC request: a batch item, or a single call when
+   * `batchIndex` is undefined. This is the transport-agnostic call pipeline
+   * behind `RpcEndpoint#handle`; it never writes to a response directly.
+   * @param {Object} request
+   * @param {Object} req Request (or request-like object with `headers`)
+   * @param {any} context
+   * @param {number} [batchIndex] Position in the batch; undefined for single calls
+   * @param {Object} [transport]
+   * @param {Object} [transport.res] Response exposed to middleware as `ctx.res` (single HTTP calls)
+   * @param {(name: string, value: any) => void} [transport.setHeader] Response metadata sink
+   *   for `call.set()` and, on single calls, Deprecation/Sunset headers (defaults to `res`)
+   * @param {AbortSignal} [transport.signal] Aborts when the client disconnects
+   * @param {Object} [transport.connection] Connection the call arrived on (WebSocket)
+   * @param {any} [transport.principal] Caller identity established by the transport
+   * @param {Object} [transport.batchState] State shared by the items of a batch (`beforeBatch`)
+   * @param {Function} [transport.authenticatedBy] Auth function that already accepted the batch
+   * @param {any} [transport.transaction] Transaction of a transactional batch, passed to the handler
+   * @param {(batchIndex: number, error: any) => void} [transport.onFailure] Called when the item
+   *   fails, notifications included
+   * @param {boolean} [transport.stream=false] Return async-iterable results as
+   *   a stream of frames instead of collecting them (single calls only)
+   * @param {boolean} [transport.nativeTypes=false] Params and results are carried
+   *   natively by a binary encoding (BigInt, Date, Buffer), so the JSON string
+   *   conventions and the strict-mode safe header check are skipped
+   * @returns {Promise<Object|AsyncIterable<Object>|null>}
+   */
+  async processSingleRequest(
+    request,
+    req,
+    context,
+    batchIndex,
+    {
+      res = null,
+      setHeader = headerSetter(res),
+      signal,
+      connection,
+      principal = connection?.principal,
+      batchState,
+      authenticatedBy,
+      transaction,
+      onFailure,
+      stream = false,
+      nativeTypes = false,
+    } = {}
+  ) {
+    const startTime = Date.now();
+    const isSingle = batchIndex === undefined;
+    const { logger } = this.endpoint;
+    const { method: requestedMethod, params, id } = request || {};
     const envelope = validateEnvelope(request);
 
+    if (isSingle) {
+      logger.rpcCall(requestedMethod, params, id, req);
+    }
+
     if (!envelope.valid) {
       return {
         jsonrpc: '2.0',
         id: envelope.responseId,
-        error: addBatchIndex(envelope.error, batchIndex),
+        error: isSingle
+          ? envelope.error
+          : addBatchIndex(envelope.error, batchIndex),
       };
     }
 
-    const methodConfig = this.endpoint.methods[method];
-    if (!methodConfig) {
+    const resolved = this.endpoint.resolveMethod(requestedMethod, req.headers);
+    if (!resolved?.config) {
       if (envelope.isNotification) {
+        onFailure?.(
+          batchIndex,
+          new RpcMethodError(
+            methodNotFoundMessage(requestedMethod, resolved),
+            -32601
+          )
+        );
         return null;
       }
 
@@ -128,29 +865,38 @@ class BatchHandler {
         id,
         error: {
           code: -32601,
-          message: `Method "${method}" not found`,
-          data: { batchIndex },
+          message: methodNotFoundMessage(requestedMethod, resolved),
+          ...(!isSingle && { data: { batchIndex } }),
         },
       };
     }
 
-    // Extract handler (support both function and config object)
-    const handler =
-      typeof methodConfig === 'function' ? methodConfig : methodConfig.handler;
+    const { name: method, version, config: methodConfig } = resolved;
+
+    // Extract schema (support both function and config object)
     const schema =
       typeof methodConfig === 'object' ? methodConfig.schema : null;
 
     // If no id is provided, this is a notification - don't return response
-    const isNotification = !envelope.hasId;
+    const { isNotification } = envelope;
 
-    // Determine client safe mode from headers and deserialize params accordingly
-    const clientSafeHeader = req.headers['x-rpc-safe-enabled'];
+    // Strict mode: server has safe enabled but the client sent no header.
+    // WebSocket and stream connections declare safe mode themselves, since
+    // their calls carry no headers.
+    const clientSafeHeader =
+      connection?.safeEnabled !== undefined
+        ? String(connection.safeEnabled)
+        : req.headers['x-rpc-safe-enabled'];
     if (
       this.endpoint.options.strictMode &&
       this.endpoint.options.safeEnabled &&
-      !clientSafeHeader
+      !clientSafeHeader &&
+      !nativeTypes
     ) {
+      const message =
+        'RPC Compatibility Error: Server requires safe serialization header but client did not provide it.';
       if (isNotification) {
+        onFailure?.(batchIndex, new RpcMethodError(message, -32600));
         return null;
       }
 
@@ -159,8 +905,7 @@ class BatchHandler {
         id,
         error: {
           code: -32600,
-          message:
-            'RPC Compatibility Error: Server requires safe serialization header but client did not provide it.',
+          message,
           data: {
             serverSafeEnabled: this.endpoint.options.safeEnabled,
             requiredHeader: 'X-RPC-Safe-Enabled',
@@ -173,77 +918,117 @@ class BatchHandler {
       };
     }
 
-    const clientSafeEnabled = clientSafeHeader === 'true';
-    const deserializedParams = hasOwn(request, 'params')
-      ? this.endpoint.deserializeBigIntsAndDates(params, {
-          safeEnabled: clientSafeEnabled,
-        })
-      : params;
-
     // Initialize middleware context
     let middlewareContext = {
       req,
-      res: null, // No response object for batch items
+      res: isSingle ? res : null, // No response object for batch items
       method,
-      params: deserializedParams,
+      version,
+      params,
       context,
+      id,
       batchIndex,
       isNotification,
+      startTime,
+      connection,
+      principal,
+      ...(batchState && { batchState }),
+      ...(authenticatedBy && { authenticatedBy }),
+      ...(transaction !== undefined && { transaction }),
     };
 
     try {
-      // Execute middleware
-      if (this.endpoint.middleware) {
-        middlewareContext = await this.endpoint.middleware.execute(
-          'beforeCall',
-          middlewareContext
+      // Warn about (or reject) deprecated methods; single calls also get headers
+      this.endpoint.checkDeprecation(method, version, {
+        id,
+        batchIndex,
+        setHeader: isSingle ? setHeader : null,
+      });
+
+      // Deserialize params using the client's safe options
+      if (hasOwn(request, 'params') && !nativeTypes) {
+        middlewareContext.params = this.endpoint.deserializeBigIntsAndDates(
+          params,
+          { safeEnabled: clientSafeHeader === 'true' }
         );
       }
 
+      // Map positional params to named params before any middleware runs
+      middlewareContext.params = this.endpoint.mapPositionalParams(
+        method,
+        methodConfig,
+        middlewareContext.params
+      );
+
+      // Execute middleware
+      middlewareContext = await this.endpoint.executeMiddleware(
+        'beforeCall',
+        middlewareContext
+      );
+
       if (schema) {
-        if (this.endpoint.middleware) {
-          middlewareContext = await this.endpoint.middleware.execute(
-            'beforeValidation',
-            middlewareContext
-          );
-        }
+        middlewareContext = await this.endpoint.executeMiddleware(
+          'beforeValidation',
+          middlewareContext
+        );
 
         const validation = this.endpoint.validator.validate(
           middlewareContext.params,
           schema
         );
         if (!validation.valid) {
-          const error = new Error('Validation failed');
-          error.code = -32602;
-          error.data = {
+          throw new InvalidParamsError('Validation failed', {
             validationErrors: validation.errors.map((err) => ({
               field: err.instancePath || err.schemaPath,
               message: err.message,
               value: err.data,
             })),
-          };
-          throw error;
+          });
         }
 
         middlewareContext.params = validation.data;
 
-        if (this.endpoint.middleware) {
-          middlewareContext = await this.endpoint.middleware.execute(
-            'afterValidation',
-            middlewareContext
-          );
-        }
+        middlewareContext = await this.endpoint.executeMiddleware(
+          'afterValidation',
+          middlewareContext
+        );
       }
 
-      // Execute the handler
-      const result = await Promise.resolve(
-        handler(req, context, middlewareContext.params)
+      // Execute the handler, bounded by the method timeout
+      const returned = await this.endpoint.invokeHandler(methodConfig, {
+        method,
+        version,
+        params: middlewareContext.params,
+        id,
+        isNotification,
+        batchIndex,
+        req,
+        setHeader,
+        context,
+        principal: middlewareContext.principal,
+        transaction,
+        signal,
+      });
+
+      // Stream async-iterable results when the transport asked for it
+      if (stream && isSingle && !isNotification && isAsyncIterable(returned)) {
+        return this.#streamFrames(returned, middlewareContext);
+      }
+
+      // Otherwise collect async-iterable results
+      const result = await bufferResult(returned);
+
+      // Validate the result, then execute after middleware
+      const validatedResult = this.endpoint.validateMethodResult(
+        method,
+        methodConfig,
+        result
       );
+      middlewareContext.result = validatedResult;
+      await this.endpoint.executeMiddleware('afterCall', middlewareContext);
 
-      // Execute after middleware
-      if (this.endpoint.middleware) {
-        middlewareContext.result = result;
-        await this.endpoint.middleware.execute('afterCall', middlewareContext);
+      if (isSingle) {
+        logger.rpcSuccess(method, id, Date.now() - startTime, validatedResult);
       }
 
       // For notifications, return null (will be filtered out)
@@ -252,7 +1037,9 @@ class BatchHandler {
       }
 
       // Serialize the result
-      const safeResult = this.endpoint.serializeBigIntsAndDates(result);
+      const safeResult = nativeTypes
+        ? validatedResult
+        : this.endpoint.serializeBigIntsAndDates(validatedResult);
 
       return {
         jsonrpc: '2.0',
@@ -260,36 +1047,88 @@ class BatchHandler {
         result: safeResult,
       };
     } catch (error) {
-      // Execute error middleware
-      if (this.endpoint.middleware) {
-        try {
-          await this.endpoint.middleware.execute('onError', {
-            ...middlewareContext,
-            error,
-            batchIndex,
-          });
-        } catch (middlewareError) {
-          // Ignore middleware errors in error handling
-        }
-      }
+      onFailure?.(batchIndex, error);
+      const formatted = await this.#handleCallError(
+        error,
+        middlewareContext,
+        nativeTypes
+      );
 
       // For notifications, return null even on error
       if (isNotification) {
         return null;
       }
 
-      const errorData = this.serializeErrorData(error, batchIndex);
+      return { jsonrpc: '2.0', id, error: formatted };
+    }
+  }
 
-      return {
-        jsonrpc: '2.0',
-        id,
-        error: {
-          code: error.code || -32603,
-          message: error.message || 'Internal error',
-          ...(errorData !== undefined && { data: errorData }),
-        },
-      };
+  /**
+   * Log a failed call, run onError middleware and format the error
+   * @param {any} error
+   * @param {Object} middlewareContext
+   * @param {boolean} [nativeTypes=false] Leave error data to a binary encoding
+   * @returns {Promise<Object>} The JSON-RPC error object
+   */
+  async #handleCallError(error, middlewareContext, nativeTypes = false) {
+    const { req, method, id, params, batchIndex, startTime } =
+      middlewareContext;
+    const duration = Date.now() - startTime;
+
+    if (batchIndex === undefined) {
+      this.endpoint.logger.rpcError(method, id, duration, error);
+    }
+
+    // Execute error middleware
+    try {
+      await this.endpoint.executeMiddleware('onError', {
+        ...middlewareContext,
+        error,
+        duration,
+      });
+    } catch (middlewareError) {
+      this.endpoint.logger.error('Error middleware failed', {
+        error: middlewareError.message,
+      });
     }
+
+    return this.endpoint.formatError(error, {
+      method,
+      id,
+      params,
+      req,
+      batchIndex,
+      nativeTypes,
+    });
+  }
+
+  /**
+   * Frames for a streamed result: chunk frames, then a final response with
+   * `{ done: true, count }` once afterCall middleware ran, or a terminal error.
+   * @param {AsyncIterable<any>} iterable
+   * @param {Object} middlewareContext
+   * @returns {AsyncIterable<Object>}
+   */
+  #streamFrames(iterable, middlewareContext) {
+    const { method, id, startTime } = middlewareContext;
+
+    return streamFrames(iterable, {
+      id,
+      serialize: (chunk) => this.endpoint.serializeBigIntsAndDates(chunk),
+      onEnd: async (result) => {
+        await this.endpoint.executeMiddleware('afterCall', {
+          ...middlewareContext,
+          result,
+        });
+        this.endpoint.logger.rpcSuccess(
+          method,
+          id,
+          Date.now() - startTime,
+          result
+        );
+      },
+      onError: (error) => this.#handleCallError(error, middlewareContext),
+    });
   }
 
   /**
@@ -298,9 +1137,11 @@ class BatchHandler {
    * @returns {Object}
    */
   getBatchStats(batch) {
-    const notifications = batch.filter((req) => !hasOwn(req, 'id')).length;
+    const notifications = batch.filter(
+      (req) => req !== null && typeof req === 'object' && !hasOwn(req, 'id')
+    ).length;
     const requests = batch.length - notifications;
-    const methods = [...new Set(batch.map((req) => req.method))];
+    const methods = [...new Set(batch.map((req) => req?.method))];
 
     return {
       total: batch.length,
@@ -0,0 +1,52 @@
+/**
+ * @file HTTP caching helpers
+ * @description GET eligibility, ETag computation and conditional request checks
+ */
+const { createHash } = require('crypto');
+
+/**
+ * Whether a method may be invoked with HTTP GET (`idempotent: true` or
+ * `http: { get: true }`)
+ * @param {Function|Object} methodConfig
+ * @returns {boolean}
+ */
+function allowsGet(methodConfig) {
+  if (!methodConfig || typeof methodConfig !== 'object') {
+    return false;
+  }
+  return methodConfig.idempotent === true || methodConfig.http?.get === true;
+}
+
+/**
+ * Compute a strong ETag from a serialized response body
+ * @param {string} body
+ * @returns {string}
+ */
+function computeETag(body) {
+  const hash = createHash('sha1').update(body).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Whether an `If-None-Match` header matches an ETag (weak comparison, as
+ * RFC 9110 requires for If-None-Match)
+ * @param {string|undefined} ifNoneMatch
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function isNotModified(ifNoneMatch, etag) {
+  if (!ifNoneMatch) {
+    return false;
+  }
+
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch
+    .split(',')
+    .some((tag) => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+module.exports = {
+  allowsGet,
+  computeETag,
+  isNotModified,
+};
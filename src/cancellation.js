@@ -0,0 +1,123 @@
+/**
+ * @file Cancellation helpers
+ * @description Per-call timeouts and AbortSignal wiring for method handlers
+ */
+
+const { RpcMethodError } = require('./errors');
+
+/**
+ * JSON-RPC error code returned when a handler exceeds its timeout.
+ * @type {number}
+ */
+const TIMEOUT_ERROR_CODE = -32008;
+
+/**
+ * Create the error used when a method exceeds its timeout
+ * @param {string} method
+ * @param {number} timeout
+ * @returns {RpcMethodError}
+ */
+function createTimeoutError(method, timeout) {
+  const error = new RpcMethodError(
+    `Method "${method}" timed out after ${timeout}ms`,
+    TIMEOUT_ERROR_CODE,
+    { method, timeout }
+  );
+  error.name = 'TimeoutError';
+  return error;
+}
+
+/**
+ * Create a signal that aborts when the HTTP client goes away before the
+ * response has been written.
+ * @param {Object} res Express response object
+ * @returns {AbortSignal|undefined}
+ */
+function createDisconnectSignal(res) {
+  if (!res || typeof res.once !== 'function') {
+    return undefined;
+  }
+
+  const controller = new AbortController();
+  res.once('close', () => {
+    if (!res.writableFinished) {
+      const error = new Error('Client disconnected');
+      error.name = 'AbortError';
+      controller.abort(error);
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Resolve the effective timeout for a method
+ * @param {Object|Function} methodConfig
+ * @param {Object} endpointOptions
+ * @returns {number|null}
+ */
+function resolveTimeout(methodConfig, endpointOptions = {}) {
+  const methodTimeout =
+    methodConfig && typeof methodConfig === 'object'
+      ? methodConfig.timeout
+      : undefined;
+  const timeout =
+    methodTimeout !== undefined ? methodTimeout : endpointOptions.timeout;
+  return Number.isFinite(timeout) && timeout > 0 ? timeout : null;
+}
+
+/**
+ * Invoke a handler with an AbortSignal, rejecting once the timeout elapses or
+ * the parent signal aborts. The handler is not forcibly stopped; it receives
+ * the signal so it can cancel its own work.
+ * @param {(signal: AbortSignal) => any} invoke
+ * @param {Object} options
+ * @param {string} options.method Method name, used in the timeout error
+ * @param {number|null} [options.timeout] Timeout in milliseconds
+ * @param {AbortSignal} [options.signal] Parent signal (e.g. client disconnect)
+ * @returns {Promise<any>}
+ */
+function invokeWithTimeout(invoke, { method, timeout = null, signal } = {}) {
+  const controller = new AbortController();
+  let timer = null;
+  let onParentAbort = null;
+
+  const aborted = new Promise((_, reject) => {
+    onParentAbort = () => {
+      controller.abort(signal.reason);
+      reject(signal.reason);
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onParentAbort();
+      } else {
+        signal.addEventListener('abort', onParentAbort, { once: true });
+      }
+    }
+
+    if (timeout) {
+      timer = setTimeout(() => {
+        const error = createTimeoutError(method, timeout);
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    }
+  });
+
+  const execution = Promise.resolve().then(() => invoke(controller.signal));
+
+  return Promise.race([execution, aborted]).finally(() => {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', onParentAbort);
+    }
+  });
+}
+
+module.exports = {
+  TIMEOUT_ERROR_CODE,
+  createDisconnectSignal,
+  createTimeoutError,
+  invokeWithTimeout,
+  resolveTimeout,
+};
@@ -0,0 +1,129 @@
+/**
+ * @file Deprecation helpers
+ * @description Normalize `deprecated` method metadata and build Deprecation/Sunset headers
+ */
+
+const { MethodSunsetError } = require('./errors');
+
+/**
+ * Parse a deprecation date option
+ * @param {string|number|Date|undefined} value
+ * @param {string} field Option name, used in the error message
+ * @param {string} method Method name, used in the error message
+ * @returns {Date|null}
+ */
+function parseDate(value, field, method) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(
+      `Invalid deprecated.${field} "${value}" for method "${method}": expected a date`
+    );
+  }
+  return date;
+}
+
+/**
+ * Normalize the `deprecated` method option. `true` marks a method deprecated
+ * without dates.
+ * @param {boolean|Object|undefined} deprecated
+ * @param {string} method Method name, used in error messages
+ * @returns {{ since: Date|null, sunset: Date|null, replacement: string|null, rejectAfterSunset?: boolean }|null}
+ */
+function normalizeDeprecation(deprecated, method) {
+  if (deprecated === undefined || deprecated === false) {
+    return null;
+  }
+
+  if (deprecated === true) {
+    return { since: null, sunset: null, replacement: null };
+  }
+
+  if (typeof deprecated !== 'object' || deprecated === null) {
+    throw new Error(
+      `Invalid deprecated option for method "${method}": expected true or { since, sunset, replacement }`
+    );
+  }
+
+  const { replacement = null, rejectAfterSunset } = deprecated;
+  if (replacement !== null && typeof replacement !== 'string') {
+    throw new Error(
+      `Invalid deprecated.replacement for method "${method}": expected a method name`
+    );
+  }
+
+  return {
+    since: parseDate(deprecated.since, 'since', method),
+    sunset: parseDate(deprecated.sunset, 'sunset', method),
+    replacement,
+    ...(rejectAfterSunset !== undefined && {
+      rejectAfterSunset: !!rejectAfterSunset,
+    }),
+  };
+}
+
+/**
+ * Whether the sunset date of a deprecation has passed
+ * @param {Object} deprecation Normalized deprecation
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function isSunset(deprecation, now = Date.now()) {
+  return !!deprecation.sunset && deprecation.sunset.getTime() <= now;
+}
+
+/**
+ * Build the `Deprecation` (RFC 9745) and `Sunset` (RFC 8594) response headers
+ * @param {Object} deprecation Normalized deprecation
+ * @returns {{ [name: string]: string }}
+ */
+function deprecationHeaders(deprecation) {
+  const headers = {
+    Deprecation: deprecation.since
+      ? `@${Math.floor(deprecation.since.getTime() / 1000)}`
+      : 'true',
+  };
+  if (deprecation.sunset) {
+    headers.Sunset = deprecation.sunset.toUTCString();
+  }
+  return headers;
+}
+
+/**
+ * JSON form of a deprecation for introspection and log metadata
+ * @param {Object} deprecation Normalized deprecation
+ * @returns {{ since: string|null, sunset: string|null, replacement: string|null }}
+ */
+function describeDeprecation(deprecation) {
+  return {
+    since: deprecation.since ? deprecation.since.toISOString() : null,
+    sunset: deprecation.sunset ? deprecation.sunset.toISOString() : null,
+    replacement: deprecation.replacement,
+  };
+}
+
+/**
+ * Create the error returned for calls to a method past its sunset date
+ * @param {string} method
+ * @param {Object} deprecation Normalized deprecation
+ * @returns {MethodSunsetError}
+ */
+function createSunsetError(method, deprecation) {
+  const { sunset, replacement } = describeDeprecation(deprecation);
+  return new MethodSunsetError(`Method "${method}" was sunset on ${sunset}`, {
+    method,
+    sunset,
+    replacement,
+  });
+}
+
+module.exports = {
+  createSunsetError,
+  deprecationHeaders,
+  describeDeprecation,
+  isSunset,
+  normalizeDeprecation,
+};
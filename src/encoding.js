@@ -0,0 +1,130 @@
+/**
+ * @file Binary encodings
+ * @description MessagePack and CBOR request/response bodies negotiated by Content-Type / Accept
+ */
+
+/**
+ * Supported binary encodings: media types and the optional package providing
+ * each codec. BigInt, Date and Buffer values map to the format's native types.
+ * @type {Object<string, { contentType: string, types: string[], packageName: string, create: Function }>}
+ */
+const ENCODINGS = {
+  msgpack: {
+    contentType: 'application/msgpack',
+    types: ['application/msgpack', 'application/x-msgpack'],
+    packageName: 'msgpackr',
+    create: ({ Packr }) =>
+      new Packr({
+        useRecords: false,
+        useBigInt64: true,
+        useBigIntExtension: true,
+      }),
+  },
+  cbor: {
+    contentType: 'application/cbor',
+    types: ['application/cbor'],
+    packageName: 'cbor-x',
+    create: ({ Encoder }) =>
+      new Encoder({ useRecords: false, mapsAsObjects: true }),
+  },
+};
+
+/**
+ * Media types of every binary encoding, e.g. for `express.raw({ type })`
+ * @type {string[]}
+ */
+const BINARY_CONTENT_TYPES = Object.values(ENCODINGS).flatMap(
+  ({ types }) => types
+);
+
+/** @type {Map<string, { name: string, contentType: string, encode: Function, decode: Function }>} */
+const codecs = new Map();
+
+/**
+ * Get the codec of a binary encoding, loading its optional package on first use
+ * @param {'msgpack'|'cbor'} name
+ * @returns {{ name: string, contentType: string, encode: (value: any) => Buffer, decode: (body: Buffer) => any }}
+ * @throws {Error} When the encoding's package is not installed
+ */
+function getCodec(name) {
+  if (!codecs.has(name)) {
+    const { contentType, packageName, create } = ENCODINGS[name];
+    let codec;
+    try {
+      codec = create(module.require(packageName));
+    } catch (error) {
+      throw new Error(
+        `${contentType} bodies require the "${packageName}" package. Install it with: npm install ${packageName}`,
+        { cause: error }
+      );
+    }
+    codecs.set(name, {
+      name,
+      contentType,
+      encode: (value) => codec.encode(value),
+      decode: (body) => codec.decode(body),
+    });
+  }
+  return codecs.get(name);
+}
+
+/**
+ * Whether an encoding's package can be loaded
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isAvailable(name) {
+  try {
+    getCodec(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Encoding name of a media type, ignoring parameters
+ * @param {string|undefined} type
+ * @returns {'msgpack'|'cbor'|null}
+ */
+function encodingOf(type) {
+  const mediaType = (type || '').split(';')[0].trim().toLowerCase();
+  const match = Object.entries(ENCODINGS).find(([, { types }]) =>
+    types.includes(mediaType)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Pick the request and response encodings. JSON requests get JSON responses;
+ * a binary request gets the binary encoding its `Accept` header prefers
+ * (when installed), defaulting to the request's own.
+ * @param {Request} req
+ * @returns {{ request: 'msgpack'|'cbor'|null, response: 'msgpack'|'cbor'|null }}
+ */
+function negotiateEncoding(req) {
+  const request = encodingOf(req.headers['content-type']);
+  if (!request) {
+    return { request: null, response: null };
+  }
+
+  // The request's own encoding first, so wildcards keep it
+  const candidates = [
+    ENCODINGS[request].contentType,
+    ...Object.entries(ENCODINGS)
+      .filter(([name]) => name !== request)
+      .map(([, { contentType }]) => contentType),
+  ];
+  const accepted =
+    req.headers.accept && typeof req.accepts === 'function'
+      ? encodingOf(req.accepts(candidates))
+      : null;
+  const response = accepted && isAvailable(accepted) ? accepted : request;
+  return { request, response };
+}
+
+module.exports = {
+  BINARY_CONTENT_TYPES,
+  getCodec,
+  negotiateEncoding,
+};
@@ -0,0 +1,187 @@
+/* eslint max-classes-per-file: off */
+/**
+ * @file Server error classes
+ * @description Typed errors for method handlers and the shared JSON-RPC error formatter
+ */
+const { types } = require('util');
+const { addBatchIndex, hasOwn } = require('./protocol');
+
+/**
+ * Base class for errors that map to a JSON-RPC error response.
+ * Throw it (or a subclass) from handlers and middleware.
+ *
+ * @example
+ * throw new RpcMethodError('Insufficient funds', -32010, { balance: 0 });
+ */
+class RpcMethodError extends Error {
+  /**
+   * @param {string} message Error message sent to the client
+   * @param {number} [code=-32000] JSON-RPC error code
+   * @param {any} [data] Optional error data sent to the client
+   */
+  constructor(message, code = -32000, data = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (data !== undefined) {
+      this.data = data;
+    }
+  }
+}
+
+/**
+ * Invalid method parameters (-32602)
+ */
+class InvalidParamsError extends RpcMethodError {
+  /**
+   * @param {string} [message='Invalid params']
+   * @param {any} [data]
+   */
+  constructor(message = 'Invalid params', data = undefined) {
+    super(message, -32602, data);
+  }
+}
+
+/**
+ * Caller is not authenticated (-32001)
+ */
+class UnauthorizedError extends RpcMethodError {
+  /**
+   * @param {string} [message='Authentication required']
+   * @param {any} [data]
+   */
+  constructor(message = 'Authentication required', data = undefined) {
+    super(message, -32001, data);
+  }
+}
+
+/**
+ * A resource addressed by the call does not exist (-32004)
+ */
+class NotFoundError extends RpcMethodError {
+  /**
+   * @param {string} [message='Not found']
+   * @param {any} [data]
+   */
+  constructor(message = 'Not found', data = undefined) {
+    super(message, -32004, data);
+  }
+}
+
+/**
+ * Caller exceeded a rate limit (-32000)
+ */
+class RateLimitedError extends RpcMethodError {
+  /**
+   * @param {string} [message='Too many requests']
+   * @param {any} [data]
+   */
+  constructor(message = 'Too many requests', data = undefined) {
+    super(message, -32000, data);
+  }
+}
+
+/**
+ * Called method is deprecated and past its sunset date (-32009)
+ */
+class MethodSunsetError extends RpcMethodError {
+  /**
+   * @param {string} [message='Method is no longer available']
+   * @param {any} [data]
+   */
+  constructor(message = 'Method is no longer available', data = undefined) {
+    super(message, -32009, data);
+  }
+}
+
+/**
+ * A sequential batch item referenced an earlier item that failed (-32011)
+ */
+class DependencyFailedError extends RpcMethodError {
+  /**
+   * @param {string} [message='Dependency failed']
+   * @param {any} [data]
+   */
+  constructor(message = 'Dependency failed', data = undefined) {
+    super(message, -32011, data);
+  }
+}
+
+/**
+ * A transactional batch item succeeded but its transaction was rolled back
+ * (-32012)
+ */
+class TransactionRolledBackError extends RpcMethodError {
+  /**
+   * @param {string} [message='Transaction rolled back']
+   * @param {any} [data]
+   */
+  constructor(message = 'Transaction rolled back', data = undefined) {
+    super(message, -32012, data);
+  }
+}
+
+/**
+ * Whether a thrown value is an intentional JSON-RPC error (an RpcMethodError,
+ * or a plain `{ code, message }` object) rather than an unexpected failure.
+ * Other Errors are unexpected even with an integer `code`: database and RPC
+ * drivers set one, and their messages can leak internals.
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isRpcError(error) {
+  if (error instanceof RpcMethodError) {
+    return true;
+  }
+  return (
+    error !== null &&
+    typeof error === 'object' &&
+    !(error instanceof Error) &&
+    !types.isNativeError(error) &&
+    Number.isInteger(error.code)
+  );
+}
+
+/**
+ * Convert any thrown value into a JSON-RPC error object. Used by both the
+ * single-call and batch paths so a failure has the same shape everywhere.
+ * @param {any} error The thrown value
+ * @param {Object} [options]
+ * @param {(data: any) => any} [options.serializeData] Serializer for `data` (e.g. BigInt/Date handling)
+ * @param {number} [options.batchIndex] Batch position, added to `data` for batch items
+ * @returns {{ code: number, message: string, data?: any }}
+ */
+function formatRpcError(
+  error,
+  { serializeData = (data) => data, batchIndex } = {}
+) {
+  const source = error !== null && typeof error === 'object' ? error : {};
+  const code = Number.isInteger(source.code) ? source.code : -32603;
+  const message =
+    typeof source.message === 'string' && source.message
+      ? source.message
+      : 'Internal error';
+
+  const withIndex =
+    batchIndex !== undefined ? addBatchIndex(source, batchIndex) : source;
+  const hasData = hasOwn(withIndex, 'data') && withIndex.data !== undefined;
+
+  return {
+    code,
+    message,
+    ...(hasData && { data: serializeData(withIndex.data) }),
+  };
+}
+
+module.exports = {
+  RpcMethodError,
+  InvalidParamsError,
+  UnauthorizedError,
+  NotFoundError,
+  RateLimitedError,
+  MethodSunsetError,
+  DependencyFailedError,
+  TransactionRolledBackError,
+  formatRpcError,
+  isRpcError,
+};
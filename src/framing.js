@@ -0,0 +1,149 @@
+/**
+ * @file Message framing
+ * @description Newline-delimited and LSP-style Content-Length framing for byte streams
+ */
+
+/**
+ * Supported framings.
+ * - ndjson: one JSON message per line
+ * - content-length: `Content-Length: <bytes>\r\n\r\n<body>` (Language Server Protocol)
+ * @type {Array<string>}
+ */
+const framings = ['ndjson', 'content-length'];
+
+/** Largest accepted Content-Length header block, in bytes */
+const MAX_HEADER_SIZE = 8192;
+
+const HEADER_SEPARATOR = Buffer.from('\r\n\r\n');
+
+/**
+ * Split a byte stream into message bodies. Feed it chunks with `push()`;
+ * it throws when the stream breaks the framing, after which the connection
+ * cannot be resynchronized.
+ */
+class FrameDecoder {
+  /** @type {'ndjson'|'content-length'} */
+  #framing;
+
+  /** @type {number} */
+  #maxMessageSize;
+
+  /** @type {Buffer} */
+  #buffer = Buffer.alloc(0);
+
+  /**
+   * @param {'ndjson'|'content-length'} framing
+   * @param {number} maxMessageSize Largest accepted message body, in bytes
+   */
+  constructor(framing, maxMessageSize) {
+    this.#framing = framing;
+    this.#maxMessageSize = maxMessageSize;
+  }
+
+  /**
+   * Add received bytes and return every message they complete
+   * @param {Buffer|string} chunk
+   * @returns {string[]} Complete message bodies
+   * @throws {Error} When the framing is violated or a message is too large
+   */
+  push(chunk) {
+    this.#buffer = Buffer.concat([this.#buffer, Buffer.from(chunk)]);
+    return this.#framing === 'ndjson' ? this.#lines() : this.#framed();
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  #lines() {
+    const messages = [];
+    let newline = this.#buffer.indexOf(0x0a);
+    while (newline !== -1) {
+      this.#checkSize(newline);
+      const line = this.#buffer.subarray(0, newline).toString('utf8').trim();
+      this.#buffer = this.#buffer.subarray(newline + 1);
+      if (line) {
+        messages.push(line);
+      }
+      newline = this.#buffer.indexOf(0x0a);
+    }
+
+    this.#checkSize(this.#buffer.length);
+    return messages;
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  #framed() {
+    const messages = [];
+    for (;;) {
+      const headerEnd = this.#buffer.indexOf(HEADER_SEPARATOR);
+      if (headerEnd === -1) {
+        if (this.#buffer.length > MAX_HEADER_SIZE) {
+          throw new Error('Frame header too large');
+        }
+        return messages;
+      }
+
+      const length = FrameDecoder.#contentLength(
+        this.#buffer.subarray(0, headerEnd).toString('ascii')
+      );
+      this.#checkSize(length);
+
+      const bodyStart = headerEnd + HEADER_SEPARATOR.length;
+      if (this.#buffer.length < bodyStart + length) {
+        return messages;
+      }
+
+      messages.push(
+        this.#buffer.subarray(bodyStart, bodyStart + length).toString('utf8')
+      );
+      this.#buffer = this.#buffer.subarray(bodyStart + length);
+    }
+  }
+
+  /**
+   * @param {number} size Message size in bytes
+   * @throws {Error} When it exceeds the limit
+   */
+  #checkSize(size) {
+    if (size > this.#maxMessageSize) {
+      throw new Error(`Message exceeds the ${this.#maxMessageSize} byte limit`);
+    }
+  }
+
+  /**
+   * Read the Content-Length value of a header block
+   * @param {string} header
+   * @returns {number}
+   */
+  static #contentLength(header) {
+    const match = header
+      .split('\r\n')
+      .map((line) => /^content-length:\s*(\d+)\s*$/i.exec(line))
+      .find(Boolean);
+    if (!match) {
+      throw new Error('Missing or invalid Content-Length header');
+    }
+    return Number(match[1]);
+  }
+}
+
+/**
+ * Frame a serialized message for writing
+ * @param {'ndjson'|'content-length'} framing
+ * @param {string} json
+ * @returns {string}
+ */
+function encodeFrame(framing, json) {
+  if (framing === 'ndjson') {
+    return `${json}\n`;
+  }
+  return `Content-Length: ${Buffer.byteLength(json, 'utf8')}\r\n\r\n${json}`;
+}
+
+module.exports = {
+  FrameDecoder,
+  encodeFrame,
+  framings,
+};
@@ -1,6 +1,9 @@
 // Type definitions for rpc-express-toolkit
 
 import type { Router, Request, Response } from 'express';
+import type { Server, IncomingMessage } from 'http';
+import type { Server as NetServer } from 'net';
+import type { Duplex, Readable, Writable } from 'stream';
 import {
   RpcClient as SharedRpcClient,
   RpcError as SharedRpcError,
@@ -12,23 +15,205 @@ import type {
   RpcClientOptions as SharedRpcClientOptions
 } from 'rpc-toolkit-js-client';
 
+/**
+ * Extra invocation options passed to handlers
+ */
+interface HandlerInvocation {
+  /** Aborts when the method times out or the client disconnects */
+  signal: AbortSignal;
+  /** Transaction of a transactional batch */
+  transaction?: any;
+}
+
 /**
  * JSON-RPC handler function type
  */
 type JSONRPCHandler<C> = (
   req: Request,
   context: C,
-  params: any
+  params: any,
+  invocation: HandlerInvocation
 ) => any | Promise<any>;
 
+/**
+ * Per-call invocation object passed to `handler(params, call)`
+ */
+interface RpcCall<C = any> {
+  id?: string | number | null;
+  method: string;
+  /** Resolved method version */
+  version: number;
+  isNotification: boolean;
+  /** Position in the batch, undefined for single calls */
+  batchIndex?: number;
+  req: Request;
+  context: C;
+  /** Principal set by auth or middleware (`ctx.principal`) */
+  principal?: any;
+  /** Transaction of a transactional batch (`batch.transaction.begin()`) */
+  transaction?: any;
+  /** Logger bound to method, id, and batchIndex */
+  logger: any;
+  /** Aborts when the method times out or the client disconnects */
+  signal: AbortSignal;
+  /** Set response metadata (an HTTP response header) */
+  set(name: string, value: string | number | string[]): RpcCall<C>;
+}
+
+/**
+ * Result of `RpcEndpoint#resolveMethod`; `config` is null when the method
+ * exists but the requested version does not
+ */
+interface ResolvedMethod<C = any> {
+  name: string;
+  version: number | string;
+  config: JSONRPCHandler<C> | MethodConfig<C> | null;
+}
+
+/**
+ * Handler using the opt-in `handlerSignature: 'call'`
+ */
+type JSONRPCCallHandler<C> = (params: any, call: RpcCall<C>) => any | Promise<any>;
+
 /**
  * Method configuration object
  */
 interface MethodConfig<C> {
-  handler: JSONRPCHandler<C>;
+  /** Handler function, or the absolute module path of an offloaded handler */
+  handler: JSONRPCHandler<C> | JSONRPCCallHandler<C> | string;
+  /** Overrides the endpoint `handlerSignature` */
+  handlerSignature?: 'legacy' | 'call';
+  /** Names for positional (array) params, mapped to an object before middleware and validation */
+  paramNames?: string[];
+  /** Pass params to the handler as an object (default) or as an array in `paramNames` order */
+  handlerParams?: 'named' | 'positional';
+  /** Method version (positive integer, default 1); versions of one name are registered side by side */
+  version?: number;
   schema?: object;
+  exposeSchema?: boolean;
+  description?: string;
+  /** Handler timeout in milliseconds (overrides the endpoint `timeout`) */
+  timeout?: number;
+  /** Middleware that only runs for this method, after the global chain */
+  middleware?: MethodMiddlewareConfig;
+  /** JSON Schema the handler result must satisfy */
+  resultSchema?: object;
+  /** Overrides the endpoint `resultValidation` settings */
+  resultValidation?: ResultValidationConfig;
+  /** Allow `GET <endpoint>/<method>` invocation (same as `http: { get: true }`) */
+  idempotent?: boolean;
+  /** HTTP GET settings */
+  http?: HttpMethodConfig;
+  /**
+   * Mark the method deprecated (`true` or dates and a replacement). A third
+   * `addMethod` argument holding only `deprecated: true` is read as a schema.
+   */
+  deprecated?: boolean | DeprecationConfig;
+  /** Run the handler module in a worker_threads pool (`true` uses the `default` pool) */
+  offload?: true | OffloadConfig;
+}
+
+/**
+ * Worker pool settings for an offloaded method; methods naming the same pool
+ * share its workers
+ */
+interface OffloadConfig {
+  /** Pool name (default: 'default') */
+  pool?: string;
+  /** Most worker threads in the pool (default: cores minus one) */
+  maxWorkers?: number;
+  /** Milliseconds a cancelled handler may keep running before its worker is terminated (default: 1000) */
+  cancelGrace?: number;
+}
+
+/**
+ * Invocation metadata passed to an offloaded `handler(params, call)`
+ */
+interface OffloadedCall {
+  id?: string | number | null;
+  method: string;
+  version?: number;
+  isNotification: boolean;
+  batchIndex?: number;
+  /** Aborts on timeout or client disconnect */
+  signal: AbortSignal;
+}
+
+/**
+ * Batch limits
+ */
+interface BatchConfig {
+  /** Most requests in one batch; larger batches fail with -32600 */
+  maxSize?: number;
+  /** Most batch items running at once; the rest wait in order */
+  concurrency?: number;
+  /** parallel (default) or sequential with `$ref` result references; overridden by `X-RPC-Batch-Mode` */
+  mode?: 'parallel' | 'sequential';
+  /** allow (default) or reject batches whose items share an id with -32600 */
+  duplicateIds?: 'allow' | 'reject';
+  /** Run identical calls to `idempotent: true` methods once per parallel batch, copying the response to each id */
+  coalesce?: boolean;
+  /** Run every batch in one transaction: committed if all items succeed, rolled back otherwise */
+  transactional?: boolean;
+  /** Transaction adapter, required when `transactional` is set */
+  transaction?: BatchTransactionAdapter;
+}
+
+/**
+ * Opens, commits and rolls back the transaction of a transactional batch
+ */
+interface BatchTransactionAdapter<T = any> {
+  /** Receives the batch middleware context; throwing rejects the batch */
+  begin(batchContext: BatchMiddlewareContext): T | Promise<T>;
+  commit(transaction: T): void | Promise<void>;
+  /** `error` is the first failed item's error, or the commit error */
+  rollback(transaction: T, error: any): void | Promise<void>;
+}
+
+/**
+ * HTTP GET settings for a method
+ */
+interface HttpMethodConfig {
+  /** Allow `GET <endpoint>/<method>?params=<json>` */
+  get?: boolean;
+  /** Cache-Control header sent with successful GET responses */
+  cacheControl?: string;
+}
+
+/**
+ * Deprecation metadata for a method
+ */
+interface DeprecationConfig {
+  /** When the method was deprecated (sent as the `Deprecation` header) */
+  since?: string | number | Date;
+  /** When the method goes away (sent as the `Sunset` header) */
+  sunset?: string | number | Date;
+  /** Method to call instead */
+  replacement?: string;
+  /** Reject calls after `sunset` with MethodSunsetError (overrides the endpoint option) */
+  rejectAfterSunset?: boolean;
+}
+
+/**
+ * Result schema validation settings
+ */
+interface ResultValidationConfig {
+  /**
+   * error: fail the call with -32603; warn: log and return the result;
+   * development: like error, but skipped when NODE_ENV is "production"
+   */
+  policy?: 'error' | 'warn' | 'development';
+  /** Strip properties not declared in the result schema */
+  removeAdditional?: boolean;
 }
 
+/**
+ * Per-method middleware, keyed by hook
+ */
+type MethodMiddlewareConfig = {
+  [hook in MiddlewareHook]?: Function | Function[];
+};
+
 /**
  * JSON-RPC error object
  */
@@ -87,6 +272,31 @@ interface RateLimitConfig {
  */
 type AuthConfig = (req: Request) => boolean | Promise<boolean>;
 
+/**
+ * The call an error belongs to, as passed to `errors.transform`
+ */
+interface ErrorCallInfo {
+  method?: string;
+  id?: string | number | null;
+  params?: any;
+  req?: Request;
+  batchIndex?: number;
+}
+
+/**
+ * Error exposure configuration
+ */
+interface ErrorsConfig {
+  /**
+   * none: errors other than RpcMethodError or plain `{ code, message }` objects
+   * become `Internal error` with a logged incident id;
+   * safe (default): code, message, and data; full: also serialized diagnostics
+   */
+  expose?: 'none' | 'safe' | 'full';
+  /** Map errors before exposure; return undefined to keep the original */
+  transform?: (err: any, call: ErrorCallInfo) => any;
+}
+
 /**
  * Schema validation configuration
  */
@@ -101,11 +311,25 @@ interface ValidationConfig {
  */
 interface RpcEndpointOptions {
   prefix?: string;
-  maxBodySize?: string;
+  /** @deprecated Use `bodyLimit` */
+  maxBodySize?: string | number;
+  /** Default handler timeout in milliseconds for all methods */
   timeout?: number;
+  /** Reject calls to deprecated methods past their sunset date (default false) */
+  rejectAfterSunset?: boolean;
+  /** Maximum JSON / binary request body size (default '10mb') */
+  bodyLimit?: string | number;
+  /** strict (default): only objects and arrays parse; loose: any JSON value */
+  jsonMode?: 'strict' | 'loose';
+  /** Batch limits (unlimited by default) */
+  batch?: BatchConfig;
   cors?: boolean | CorsConfig;
   auth?: AuthConfig;
   validation?: ValidationConfig;
+  resultValidation?: ResultValidationConfig;
+  errors?: ErrorsConfig;
+  /** legacy (default): handler(req, context, params, { signal }); call: handler(params, call) */
+  handlerSignature?: 'legacy' | 'call';
   safeEnabled?: boolean;
   crossConfigurationEnabled?: boolean;
   enableSchema?: boolean;
@@ -144,6 +368,250 @@ declare const RpcError: typeof SharedRpcError;
 declare const RpcHttpError: typeof SharedRpcHttpError;
 declare const RpcSafeClient: typeof SharedRpcSafeClient;
 
+/**
+ * Middleware hook names
+ */
+type MiddlewareHook =
+  | 'beforeCall'
+  | 'afterCall'
+  | 'onError'
+  | 'beforeValidation'
+  | 'afterValidation';
+
+/**
+ * Hooks run once per batch; endpoint-wide only
+ */
+type BatchHook = 'beforeBatch' | 'afterBatch';
+
+/**
+ * Summary of a batch, as returned by `BatchHandler#getBatchStats()`
+ */
+interface BatchStats {
+  total: number;
+  requests: number;
+  notifications: number;
+  uniqueMethods: number;
+  methods: any[];
+}
+
+/**
+ * Context of `beforeBatch` / `afterBatch` middleware. `beforeBatch` may
+ * return a new `batch`, a `principal` and `state` (seen by each item's
+ * middleware as `ctx.principal` and `ctx.batchState`); `afterBatch` may
+ * return new `responses`.
+ */
+interface BatchMiddlewareContext {
+  req: any;
+  res: any;
+  batch: any[];
+  stats: BatchStats;
+  context: any;
+  connection?: any;
+  principal?: any;
+  state: Record<string, any>;
+  /** afterBatch only: responses about to be sent (notifications left out) */
+  responses?: JSONRPCResponsePayload[];
+  /** afterBatch only: milliseconds since the batch started */
+  duration?: number;
+}
+
+/**
+ * Built-in middleware options scoped to a namespace
+ */
+interface NamespaceOptions {
+  auth?: AuthConfig;
+  rateLimit?: RateLimitConfig;
+  /** Method names relative to the namespace */
+  methodWhitelist?: string[];
+}
+
+/**
+ * Options for `RpcEndpoint#attachWebSocket`
+ */
+interface WebSocketOptions {
+  /** URL path accepting upgrades (defaults to the endpoint path) */
+  path?: string;
+  /** Connection auth run once on upgrade; an object result becomes the principal of every call */
+  auth?: (req: IncomingMessage) => boolean | object | Promise<boolean | object>;
+  /** Maximum frame size in bytes */
+  maxPayload?: number;
+  /** Clients use safe serialization (defaults to the endpoint's); replaces the X-RPC-Safe-Enabled header */
+  safeEnabled?: boolean;
+}
+
+/**
+ * Request metadata for `RpcEndpoint#handle`
+ */
+interface HandleMeta {
+  /** Request headers; names are matched case-insensitively */
+  headers?: Record<string, any>;
+  /** Caller address, for logging and rate limiting */
+  ip?: string;
+  /** Caller identity already established by the transport */
+  principal?: any;
+  /** Native request; replaces the request-like object built from `headers`/`ip` */
+  req?: any;
+  /** Native response, exposed to middleware as `ctx.res` */
+  res?: any;
+  /** Response metadata sink for `call.set()` and Deprecation/Sunset headers */
+  setHeader?: (name: string, value: any) => void;
+  /** Aborts in-flight handlers */
+  signal?: AbortSignal;
+  /** Connection the request arrived on */
+  connection?: object;
+  /** Stream async-iterable results of single calls as frames, and batch responses as items complete */
+  stream?: boolean;
+  /** The body uses native BigInt/Date/Buffer values (MessagePack, CBOR), so JSON string conventions are skipped */
+  nativeTypes?: boolean;
+}
+
+/**
+ * Options for `RpcEndpoint#createLocalClient`
+ */
+interface LocalClientOptions {
+  /** Request headers sent with every call */
+  headers?: Record<string, any>;
+  /** Caller identity for every call */
+  principal?: any;
+  /** Client safe serialization (defaults to the endpoint's) */
+  safeEnabled?: boolean;
+}
+
+/**
+ * In-process client with the `RpcClient` call API, created by
+ * `RpcEndpoint#createLocalClient`; errors are thrown as RpcMethodError
+ */
+declare class LocalClient {
+  call<T = any>(method: string, params?: any): Promise<T>;
+  notify(method: string, params?: any): Promise<void>;
+  batch(
+    requests: Array<{ method: string; params?: any; notify?: boolean }>
+  ): Promise<Array<{ id: number; result?: any; error?: RpcMethodError }>>;
+}
+
+/**
+ * Options for `RpcEndpoint#listenStream`
+ */
+interface StreamTransportOptions {
+  /** Message framing (default: 'ndjson') */
+  framing?: 'ndjson' | 'content-length';
+  /** Largest accepted message in bytes (default: 1048576) */
+  maxMessageSize?: number;
+  /** Clients use safe serialization (defaults to the endpoint's); replaces the X-RPC-Safe-Enabled header */
+  safeEnabled?: boolean;
+}
+
+/**
+ * Where `RpcEndpoint#listenStream` serves: a duplex stream, a
+ * readable/writable pair (e.g. stdio), a Unix socket path or a TCP port
+ */
+type StreamTarget =
+  | Duplex
+  | { readable: Readable; writable: Writable }
+  | { path: string }
+  | { port: number; host?: string };
+
+/**
+ * JSON-RPC over framed byte streams, created by `RpcEndpoint#listenStream`
+ */
+declare class StreamTransport {
+  readonly framing: 'ndjson' | 'content-length';
+  /** The socket server, when listening on a path or port */
+  readonly server: NetServer | null;
+  /** Open connections */
+  readonly connections: number;
+  /** Stop listening and close open connections */
+  close(): Promise<void>;
+}
+
+/**
+ * JSON-RPC over WebSocket, created by `RpcEndpoint#attachWebSocket`
+ */
+declare class WebSocketTransport {
+  readonly path: string;
+  /** Open WebSocket connections */
+  readonly clients: Set<any>;
+  attach(server: Server): this;
+  /** Stop accepting upgrades and close open connections */
+  close(): Promise<void>;
+}
+
+/**
+ * Sub-registry whose methods are registered as `<name>.<method>`
+ */
+declare class RpcNamespace<C = any> {
+  readonly name: string;
+  readonly middleware: any;
+  qualify(method: string): string;
+  owns(method: string): boolean;
+  addMethod(name: string, handler: JSONRPCHandler<C>): this;
+  addMethod(name: string, handler: JSONRPCHandler<C>, schema: object): this;
+  addMethod(name: string, config: MethodConfig<C>): this;
+  use(hook: MiddlewareHook, middleware: Function): this;
+  namespace(name: string, options?: NamespaceOptions): RpcNamespace<C>;
+  removeMethod(name: string): void;
+  getMethod(name: string): JSONRPCHandler<C> | MethodConfig<C> | undefined;
+  listMethods(): string[];
+}
+
+/**
+ * Base class for errors that map to a JSON-RPC error response
+ */
+declare class RpcMethodError extends Error {
+  constructor(message: string, code?: number, data?: any);
+  code: number;
+  data?: any;
+}
+
+/** Invalid method parameters (-32602) */
+declare class InvalidParamsError extends RpcMethodError {
+  constructor(message?: string, data?: any);
+}
+
+/** Caller is not authenticated (-32001) */
+declare class UnauthorizedError extends RpcMethodError {
+  constructor(message?: string, data?: any);
+}
+
+/** A resource addressed by the call does not exist (-32004) */
+declare class NotFoundError extends RpcMethodError {
+  constructor(message?: string, data?: any);
+}
+
+/** Caller exceeded a rate limit (-32000) */
+declare class RateLimitedError extends RpcMethodError {
+  constructor(message?: string, data?: any);
+}
+
+/**
+ * Deprecated method called after its sunset date (-32009)
+ */
+declare class MethodSunsetError extends RpcMethodError {
+  constructor(message?: string, data?: any);
+}
+
+/**
+ * Sequential batch item referenced an earlier item that failed (-32011)
+ */
+declare class DependencyFailedError extends RpcMethodError {
+  constructor(message?: string, data?: any);
+}
+
+/**
+ * Transactional batch item that succeeded before its transaction was rolled back (-32012)
+ */
+declare class TransactionRolledBackError extends RpcMethodError {
+  constructor(message?: string, data?: any);
+}
+
+/**
+ * Convert any thrown value into a JSON-RPC error object
+ */
+declare function formatRpcError(
+  error: any,
+  options?: { serializeData?: (data: any) => any; batchIndex?: number }
+): JSONRPCError;
+
 /**
  * Deserialization options for safe prefixes
  */
@@ -197,15 +665,70 @@ declare class RpcEndpoint<C = any> {
   /**
    * Add middleware for specific hooks
    */
-  use(hook: 'beforeCall' | 'afterCall' | 'onError' | 'beforeValidation' | 'afterValidation', middleware: Function): void;
+  use(hook: MiddlewareHook, middleware: Function): void;
+  use(
+    hook: BatchHook,
+    middleware: (ctx: BatchMiddlewareContext) => any
+  ): void;
+
+  /**
+   * Dispatch a parsed JSON-RPC request or batch without any transport:
+   * resolves to a response object, an array (batches), an async iterable of
+   * frames (`stream: true`), or null when nothing should be sent
+   */
+  handle(body: any, meta?: HandleMeta): Promise<JSONRPCResponsePayload | JSONRPCResponsePayload[] | AsyncIterable<object> | null>;
+
+  /**
+   * In-process client dispatching through `handle()` with no HTTP
+   */
+  createLocalClient(options?: LocalClientOptions): LocalClient;
+
+  /**
+   * Terminate the workers of every offload pool; later offloaded calls start new workers
+   */
+  closeWorkers(): Promise<void>;
+
+  /**
+   * Serve JSON-RPC over WebSocket on an HTTP server (requires the `ws` package)
+   */
+  attachWebSocket(server: Server, options?: WebSocketOptions): WebSocketTransport;
+
+  /**
+   * Serve JSON-RPC over a stream, Unix socket or TCP port with NDJSON or
+   * Content-Length framing
+   */
+  listenStream(target: StreamTarget, options?: StreamTransportOptions): Promise<StreamTransport>;
+
+  /**
+   * Create (or get) a namespace with its own scoped middleware and options
+   */
+  namespace(name: string, options?: NamespaceOptions): RpcNamespace<C>;
+
+  /**
+   * Run a middleware hook: endpoint-wide chain, then namespace chains
+   */
+  executeMiddleware(hook: MiddlewareHook, context: any): Promise<any>;
+
+  /**
+   * Resolve the method version a request addresses (`name@N` suffix, then
+   * the `X-RPC-Method-Version` header, then the latest version). A header
+   * version a method lacks falls back to its highest version below it, never
+   * to a newer one
+   */
+  resolveMethod(requested: string, headers?: Record<string, any>): ResolvedMethod<C> | null;
+
+  /**
+   * Normalized deprecation of a method version (latest by default)
+   */
+  getDeprecation(method: string, version?: number): object | null;
 
   /**
-   * Remove a method
+   * Remove a method (`name@N` removes only version N)
    */
   removeMethod(name: string): void;
 
   /**
-   * Get method configuration
+   * Get method configuration (`name@N` for a specific version)
    */
   getMethod(name: string): JSONRPCHandler<C> | MethodConfig<C> | undefined;
 
@@ -244,20 +767,57 @@ declare class RpcEndpoint<C = any> {
  * Export types for external use
  */
 export {
+  HandlerInvocation,
   JSONRPCHandler,
+  JSONRPCCallHandler,
+  RpcCall,
+  ResolvedMethod,
   MethodConfig,
   JSONRPCError,
   JSONRPCResponsePayload,
+  MethodMiddlewareConfig,
+  MiddlewareHook,
+  BatchHook,
+  BatchStats,
+  BatchMiddlewareContext,
+  NamespaceOptions,
   LoggingConfig,
   CorsConfig,
   RateLimitConfig,
+  ResultValidationConfig,
+  DeprecationConfig,
+  HttpMethodConfig,
+  ErrorCallInfo,
+  ErrorsConfig,
   AuthConfig,
   ValidationConfig,
   RpcEndpointOptions,
   RpcClientOptions,
   RpcBatchRequest,
   DeserializationOptions,
+  BatchConfig,
+  BatchTransactionAdapter,
+  OffloadConfig,
+  OffloadedCall,
+  HandleMeta,
+  LocalClientOptions,
+  LocalClient,
   RpcEndpoint,
+  RpcNamespace,
+  WebSocketOptions,
+  WebSocketTransport,
+  StreamTransportOptions,
+  StreamTarget,
+  StreamTransport,
+  RpcMethodError,
+  InvalidParamsError,
+  UnauthorizedError,
+  NotFoundError,
+  RateLimitedError,
+  MethodSunsetError,
+  DependencyFailedError,
+  TransactionRolledBackError,
+  formatRpcError,
   RpcClient,
   RpcError,
   RpcHttpError,
@@ -285,6 +845,20 @@ declare const Main: {
   commonSchemas: any;
   SchemaBuilder: any;
   BatchHandler: any;
+  RpcNamespace: typeof RpcNamespace;
+  WebSocketTransport: typeof WebSocketTransport;
+  LocalClient: typeof LocalClient;
+  StreamTransport: typeof StreamTransport;
+  WorkerPool: any;
+  RpcMethodError: typeof RpcMethodError;
+  InvalidParamsError: typeof InvalidParamsError;
+  UnauthorizedError: typeof UnauthorizedError;
+  NotFoundError: typeof NotFoundError;
+  RateLimitedError: typeof RateLimitedError;
+  MethodSunsetError: typeof MethodSunsetError;
+  DependencyFailedError: typeof DependencyFailedError;
+  TransactionRolledBackError: typeof TransactionRolledBackError;
+  formatRpcError: typeof formatRpcError;
 };
 
 export = Main;
@@ -1,4 +1,5 @@
 const path = require('path');
+const { randomUUID } = require('crypto');
 const express = require('express');
 const expressPkg = require('express/package.json');
 const NestedError = require('nested-error-stacks');
@@ -20,14 +21,71 @@ const DEFAULT_MAX_SERIALIZATION_DEPTH = 100;
 /** @typedef {import("express").Response} Response */
 
 const Logger = require('./logger');
-const { MiddlewareManager, builtInMiddlewares } = require('./middleware');
+const {
+  MiddlewareManager,
+  batchHooks,
+  builtInMiddlewares,
+} = require('./middleware');
 const {
   SchemaValidator,
   commonSchemas,
   SchemaBuilder,
 } = require('./validation');
 const BatchHandler = require('./batch');
-const { hasOwn, validateEnvelope } = require('./protocol');
+const RpcNamespace = require('./namespace');
+const WebSocketTransport = require('./websocket');
+const LocalClient = require('./local-client');
+const StreamTransport = require('./stream-transport');
+const WorkerPool = require('./worker-pool');
+const { allowsGet, computeETag, isNotModified } = require('./caching');
+const {
+  BINARY_CONTENT_TYPES,
+  getCodec,
+  negotiateEncoding,
+} = require('./encoding');
+const {
+  StreamWriter,
+  forEachAsync,
+  isAsyncIterable,
+  negotiateStreamFormat,
+} = require('./streaming');
+const {
+  RpcMethodError,
+  InvalidParamsError,
+  UnauthorizedError,
+  NotFoundError,
+  RateLimitedError,
+  MethodSunsetError,
+  DependencyFailedError,
+  TransactionRolledBackError,
+  formatRpcError,
+  isRpcError,
+} = require('./errors');
+const {
+  createSunsetError,
+  deprecationHeaders,
+  describeDeprecation,
+  isSunset,
+  normalizeDeprecation,
+} = require('./deprecation');
+const {
+  isValidVersion,
+  methodNotFoundMessage,
+  parseVersionedMethod,
+} = require('./versioning');
+const {
+  batchModes,
+  duplicateIdPolicies,
+  hasOwn,
+  normalizeHeaders,
+  toNamedParams,
+  toPositionalParams,
+} = require('./protocol');
+const {
+  createDisconnectSignal,
+  invokeWithTimeout,
+  resolveTimeout,
+} = require('./cancellation');
 
 /**
  * Default properties to include in error serialization.
@@ -52,6 +110,95 @@ const defaultProperties = [
   'reason',
 ];
 
+/**
+ * Keys that mark the third `addMethod` argument as an options object rather
+ * than a bare schema. JSON Schema keywords such as `deprecated` are left out
+ * so a schema using them keeps validating params; `description` stays for
+ * backward compatibility.
+ * @type {Array<string>}
+ */
+const methodOptionKeys = [
+  'schema',
+  'exposeSchema',
+  'description',
+  'timeout',
+  'middleware',
+  'resultSchema',
+  'resultValidation',
+  'handlerSignature',
+  'paramNames',
+  'handlerParams',
+  'version',
+  'idempotent',
+  'http',
+  'offload',
+];
+
+/**
+ * Handler signatures.
+ * - legacy: handler(req, context, params, { signal })
+ * - call: handler(params, call) with a per-call invocation object
+ * @type {Array<string>}
+ */
+const handlerSignatures = ['legacy', 'call'];
+
+/**
+ * Whether the third `addMethod` argument is an options object. `deprecated`
+ * only counts as an option in its object form, since the JSON Schema keyword
+ * is a boolean.
+ * @param {Object} value
+ * @returns {boolean}
+ */
+function isMethodOptions(value) {
+  return (
+    methodOptionKeys.some((key) => value[key] !== undefined) ||
+    (typeof value.deprecated === 'object' && value.deprecated !== null)
+  );
+}
+
+/**
+ * Normalize the `offload` method option (`true` or `{ pool, maxWorkers, cancelGrace }`)
+ * @param {true|Object} offload
+ * @returns {{ pool: string, maxWorkers?: number, cancelGrace?: number }}
+ */
+function offloadOptions(offload) {
+  const options = offload === true ? {} : offload;
+  return { ...options, pool: options.pool ?? 'default' };
+}
+
+/**
+ * Result validation policies.
+ * - error: fail the call with an internal error
+ * - warn: log a warning and return the result anyway
+ * - development: behave like `error` unless NODE_ENV is "production", where
+ *   validation is skipped
+ * @type {Array<string>}
+ */
+const resultValidationPolicies = ['error', 'warn', 'development'];
+
+/**
+ * Error exposure levels for `options.errors.expose`.
+ * - none: unexpected errors become a generic internal error with an incident id
+ * - safe: code, message and data only
+ * - full: also includes serialized diagnostics (stack, cause, errno, ...)
+ * @type {Array<string>}
+ */
+const errorExposureLevels = ['none', 'safe', 'full'];
+
+/**
+ * JSON body parsing modes for `options.jsonMode`.
+ * - strict: only objects and arrays are accepted; anything else is a parse error
+ * - loose: any JSON value is parsed (non-requests fail as Invalid Request)
+ * @type {Array<string>}
+ */
+const jsonModes = ['strict', 'loose'];
+
+/**
+ * Default maximum request body size
+ * @type {string}
+ */
+const DEFAULT_BODY_LIMIT = '10mb';
+
 /**
  * Serializes an error into a JSON-compatible format, with optional sanitization.
  * @param {Error | NestedError | Object} error - The error to serialize.
@@ -111,6 +258,9 @@ class RpcEndpoint {
   /** @type {string} */
   #endpoint;
 
+  /** @type {C} */
+  #context;
+
   /** @type {{ [name: string]: any }} */
   #methods = {};
 
@@ -120,6 +270,21 @@ class RpcEndpoint {
   /** @type {boolean} */
   #isInternalRegistration = false;
 
+  /** @type {Map<string, RpcNamespace>} */
+  #namespaces = new Map();
+
+  /** @type {Map<string, Map<number, any>>} */
+  #versions = new Map();
+
+  /** @type {Map<string, MiddlewareManager>} */
+  #methodMiddleware = new Map();
+
+  /** @type {Map<string, Object>} */
+  #deprecations = new Map();
+
+  /** @type {Map<string, WorkerPool>} */
+  #workerPools = new Map();
+
   /** @type {Logger} */
   #logger;
 
@@ -135,6 +300,9 @@ class RpcEndpoint {
   /** @type {Object} */
   #options;
 
+  /** @type {Function} */
+  #jsonParser;
+
   /**
    * @param {Router} router The Express router to attach the endpoint to.
    * @param {C} context The context object to pass to the method handlers.
@@ -142,6 +310,8 @@ class RpcEndpoint {
    * @param {Object} [options={}] Options object if first param is string.
    */
   constructor(router, context, endpointOrOptions = '/api', options = {}) {
+    this.#context = context;
+
     // Handle both signatures: (router, context, "/api", options) and (router, context, options)
     if (typeof endpointOrOptions === 'string') {
       this.#endpoint = endpointOrOptions;
@@ -168,8 +338,70 @@ class RpcEndpoint {
 
     this.#introspectionPrefix = this.#options.introspectionPrefix;
 
-    // Validate that the router can handle JSON parsing
-    this.#validateJsonMiddleware();
+    this.#options.rejectAfterSunset = this.#options.rejectAfterSunset === true; // Default false
+
+    this.#options.handlerSignature = this.#options.handlerSignature || 'legacy';
+    if (!handlerSignatures.includes(this.#options.handlerSignature)) {
+      throw new Error(
+        `Invalid handlerSignature option "${this.#options.handlerSignature}": expected one of ${handlerSignatures.join(', ')}`
+      );
+    }
+
+    this.#options.errors = { expose: 'safe', ...this.#options.errors };
+    if (!errorExposureLevels.includes(this.#options.errors.expose)) {
+      throw new Error(
+        `Invalid errors.expose option "${this.#options.errors.expose}": expected one of ${errorExposureLevels.join(', ')}`
+      );
+    }
+
+    // maxBodySize is the deprecated name of bodyLimit
+    this.#options.bodyLimit =
+      this.#options.bodyLimit ??
+      this.#options.maxBodySize ??
+      DEFAULT_BODY_LIMIT;
+    this.#options.jsonMode = this.#options.jsonMode || 'strict';
+    if (!jsonModes.includes(this.#options.jsonMode)) {
+      throw new Error(
+        `Invalid jsonMode option "${this.#options.jsonMode}": expected one of ${jsonModes.join(', ')}`
+      );
+    }
+
+    this.#options.batch = {
+      mode: 'parallel',
+      duplicateIds: 'allow',
+      ...this.#options.batch,
+    };
+    if (!batchModes.includes(this.#options.batch.mode)) {
+      throw new Error(
+        `Invalid batch.mode option "${this.#options.batch.mode}": expected one of ${batchModes.join(', ')}`
+      );
+    }
+    if (!duplicateIdPolicies.includes(this.#options.batch.duplicateIds)) {
+      throw new Error(
+        `Invalid batch.duplicateIds option "${this.#options.batch.duplicateIds}": expected one of ${duplicateIdPolicies.join(', ')}`
+      );
+    }
+    ['maxSize', 'concurrency'].forEach((key) => {
+      const value = this.#options.batch[key];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(
+          `Invalid batch.${key} option "${value}": expected a positive integer`
+        );
+      }
+    });
+    if (
+      this.#options.batch.transactional &&
+      !['begin', 'commit', 'rollback'].every(
+        (fn) => typeof this.#options.batch.transaction?.[fn] === 'function'
+      )
+    ) {
+      throw new Error(
+        'Invalid batch.transaction option: transactional batches need begin, commit and rollback functions'
+      );
+    }
+
+    // The endpoint parses its own request bodies
+    this.#jsonParser = this.#createJsonParser();
 
     // Register introspection methods if enabled
     if (this.#options.enableIntrospection) {
@@ -180,7 +412,7 @@ class RpcEndpoint {
     this.#setupBuiltInMiddleware();
 
     // Wire up routes
-    this.#setupRoutes(router, context);
+    this.#setupRoutes(router);
   }
 
   /**
@@ -202,7 +434,10 @@ class RpcEndpoint {
     }
 
     if (auth) {
-      this.use('beforeCall', builtInMiddlewares.auth(auth));
+      // Batches are authenticated once, their items are not checked again
+      const authMiddleware = builtInMiddlewares.auth(auth);
+      this.use('beforeBatch', authMiddleware);
+      this.use('beforeCall', authMiddleware);
     }
 
     if (methodWhitelist && Array.isArray(methodWhitelist)) {
@@ -219,17 +454,27 @@ class RpcEndpoint {
    */
   #registerIntrospectionMethods() {
     this.#isInternalRegistration = true;
+    // Pinned so the endpoint's handlerSignature option doesn't apply to them
 
     // __rpc.listMethods - List all user methods (excludes __rpc.* methods)
     this.addMethod(
       `${this.#introspectionPrefix}.listMethods`,
-      async (_req, _context, _params) =>
-        Object.keys(this.#methods).filter(
+      async (_req, _context, params) => {
+        const names = Object.keys(this.#methods).filter(
           (name) => !name.startsWith(this.#introspectionPrefix)
-        ),
+        );
+
+        if (params?.groupBy === 'namespace') {
+          return this.#groupByNamespace(names, (name) => name);
+        }
+
+        return names;
+      },
       {
-        description: 'List all available RPC methods',
+        description:
+          'List all available RPC methods (pass { groupBy: "namespace" } to group them)',
         exposeSchema: true,
+        handlerSignature: 'legacy',
       }
     );
 
@@ -240,36 +485,28 @@ class RpcEndpoint {
         const methodName = params?.method;
 
         if (!methodName || typeof methodName !== 'string') {
-          throw {
-            code: -32602,
-            message: 'Invalid params: method name required',
-          };
+          throw new InvalidParamsError('Invalid params: method name required');
         }
 
         // Prevent introspection of __rpc.* methods
         if (methodName.startsWith(this.#introspectionPrefix)) {
-          throw {
-            code: -32601,
-            message: 'Cannot describe introspection methods',
-          };
+          throw new RpcMethodError(
+            'Cannot describe introspection methods',
+            -32601
+          );
         }
 
-        const methodConfig = this.#methods[methodName];
-        if (!methodConfig) {
-          throw { code: -32601, message: `Method not found: ${methodName}` };
+        if (!this.#methods[methodName]) {
+          throw new RpcMethodError(`Method not found: ${methodName}`, -32601);
         }
 
         // Check if schema is exposed
-        const config = typeof methodConfig === 'function' ? {} : methodConfig;
-        if (!config.exposeSchema) {
-          throw { code: -32601, message: 'Method schema not available' };
+        const description = this.#describeMethod(methodName);
+        if (!description) {
+          throw new RpcMethodError('Method schema not available', -32601);
         }
 
-        return {
-          name: methodName,
-          schema: config.schema || null,
-          description: config.description || '',
-        };
+        return description;
       },
       {
         schema: {
@@ -281,36 +518,30 @@ class RpcEndpoint {
         },
         description: 'Get schema and description of a specific method',
         exposeSchema: true,
+        handlerSignature: 'legacy',
       }
     );
 
     // __rpc.describeAll - Get all methods with public schemas
     this.addMethod(
       `${this.#introspectionPrefix}.describeAll`,
-      async (_req, _context, _params) => {
-        const publicMethods = Object.entries(this.#methods)
-          .filter(([name]) => !name.startsWith(this.#introspectionPrefix))
-          .map(([name, methodConfig]) => {
-            const config =
-              typeof methodConfig === 'function' ? {} : methodConfig;
-
-            if (!config.exposeSchema) {
-              return null;
-            }
-
-            return {
-              name,
-              schema: config.schema || null,
-              description: config.description || '',
-            };
-          })
+      async (_req, _context, params) => {
+        const publicMethods = Object.keys(this.#methods)
+          .filter((name) => !name.startsWith(this.#introspectionPrefix))
+          .map((name) => this.#describeMethod(name))
           .filter(Boolean);
 
+        if (params?.groupBy === 'namespace') {
+          return this.#groupByNamespace(publicMethods, (entry) => entry.name);
+        }
+
         return publicMethods;
       },
       {
-        description: 'List all methods with public schemas',
+        description:
+          'List all methods with public schemas (pass { groupBy: "namespace" } to group them)',
         exposeSchema: true,
+        handlerSignature: 'legacy',
       }
     );
 
@@ -326,6 +557,7 @@ class RpcEndpoint {
       {
         description: 'Get RPC toolkit version information',
         exposeSchema: true,
+        handlerSignature: 'legacy',
       }
     );
 
@@ -341,6 +573,9 @@ class RpcEndpoint {
         cors: !!this.#options.cors,
         auth: !!this.#options.auth,
         rateLimit: !!this.#options.rateLimit,
+        versioning: true,
+        httpGet: true,
+        namespaces: [...this.#namespaces.keys()],
         methodCount: Object.keys(this.#methods).filter(
           (n) => !n.startsWith(this.#introspectionPrefix)
         ).length,
@@ -348,6 +583,7 @@ class RpcEndpoint {
       {
         description: 'Get server capabilities and configuration',
         exposeSchema: true,
+        handlerSignature: 'legacy',
       }
     );
 
@@ -355,20 +591,47 @@ class RpcEndpoint {
   }
 
   /**
-   * Validate JSON middleware functionality and Express compatibility
+   * Group introspection entries by the namespace that owns them
+   * @private
+   * @param {Array<any>} entries
+   * @param {(entry: any) => string} getName
+   * @returns {Array<{ namespace: string|null, methods: Array<any> }>}
+   */
+  #groupByNamespace(entries, getName) {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const namespace = this.#namespaceOf(getName(entry));
+      if (!groups.has(namespace)) {
+        groups.set(namespace, []);
+      }
+      groups.get(namespace).push(entry);
+    });
+
+    return [...groups.entries()].map(([namespace, methods]) => ({
+      namespace,
+      methods,
+    }));
+  }
+
+  /**
+   * Create the endpoint's JSON body parser from the `bodyLimit` and
+   * `jsonMode` options
    * @private
+   * @returns {Function} Express middleware
    */
-  #validateJsonMiddleware() {
+  #createJsonParser() {
     try {
       // Check if express.json is available (Express 4.16.0+)
       if (typeof express.json !== 'function') {
         throw new Error(
-          'express.json() is not available. Please ensure you are using Express 4.16.0 or later, or install body-parser separately.'
+          'express.json() is not available. Please ensure you are using Express 4.16.0 or later.'
         );
       }
 
-      // Test JSON middleware creation with default options
-      const jsonMiddleware = express.json({ limit: '10mb' });
+      const jsonMiddleware = express.json({
+        limit: this.#options.bodyLimit,
+        strict: this.#options.jsonMode === 'strict',
+      });
 
       if (typeof jsonMiddleware !== 'function') {
         throw new Error(
@@ -383,19 +646,19 @@ class RpcEndpoint {
         );
       }
 
-      this.#logger.debug('JSON middleware validation passed', {
-        expressJsonAvailable: true,
-        middlewareValid: true,
+      this.#logger.debug('JSON body parser created', {
+        bodyLimit: this.#options.bodyLimit,
+        jsonMode: this.#options.jsonMode,
         endpoint: this.#endpoint,
       });
+
+      return jsonMiddleware;
     } catch (error) {
       const errorMsg =
         `JSON middleware validation failed: ${error.message}\n` +
         `This router cannot handle JSON-RPC requests properly.\n\n` +
         `Possible solutions:\n` +
-        `- Update Express: npm install express@latest (requires >=4.16.0)\n` +
-        `- Add JSON parsing middleware manually: router.use(express.json())\n` +
-        `- Install body-parser: npm install body-parser`;
+        `- Update Express: npm install express@latest (requires >=4.16.0)`;
 
       this.#logger.error('JSON middleware validation failed', {
         error: error.message,
@@ -410,9 +673,8 @@ class RpcEndpoint {
   /**
    * Setup Express routes
    * @param {Router} router
-   * @param {C} context
    */
-  #setupRoutes(router, context) {
+  #setupRoutes(router) {
     // Health check endpoint
     if (this.#options.healthCheck !== false) {
       router.get(`${this.#endpoint}/health`, (req, res) => {
@@ -431,280 +693,451 @@ class RpcEndpoint {
       });
     }
 
-    // Main JSON-RPC endpoint
-    router.post(this.#endpoint, async (req, res) => {
-      const startTime = Date.now();
+    // Main JSON-RPC endpoint: a thin adapter over handle()
+    const onBodyError = (error, req, res, next) =>
+      this.#sendBodyError(error, req, res, next);
+    const bodyParsers = [
+      this.#jsonParser,
+      express.raw({
+        type: BINARY_CONTENT_TYPES,
+        limit: this.#options.bodyLimit,
+      }),
+      // Runs only when one of the parsers above failed
+      onBodyError,
+    ];
+    router.post(this.#endpoint, bodyParsers, async (req, res) => {
+      const encoding = negotiateEncoding(req);
+      const format = encoding.request ? null : negotiateStreamFormat(req);
 
       try {
-        // Check if it's a batch request
-        if (this.#batchHandler.isBatchRequest(req.body)) {
-          this.#logger.info('Batch request received', {
-            batchSize: req.body.length,
-            ip: req.ip,
-          });
+        // An undefined JSON body (empty or non-JSON POST) reaches handle(),
+        // which answers Invalid Request
+        let { body } = req;
+        if (encoding.request) {
+          const decoded = this.#decodeBody(req, res, encoding);
+          if (decoded.handled) {
+            return;
+          }
+          ({ body } = decoded);
+        }
 
-          const results = await this.#batchHandler.processBatch(
-            req.body,
-            req,
-            res,
-            context
-          );
+        // Batches stream progressively only as NDJSON
+        const stream = this.#batchHandler.isBatchRequest(body)
+          ? format === 'ndjson'
+          : format !== null;
 
-          // Only send response if there are results (non-notification requests)
-          if (!Array.isArray(results)) {
-            res.setHeader(
-              'X-RPC-Safe-Enabled',
-              this.#options.safeEnabled ? 'true' : 'false'
-            );
-            res.json(results);
-          } else if (results.length > 0) {
-            // Align batch responses with single-call header negotiation
-            res.setHeader(
-              'X-RPC-Safe-Enabled',
-              this.#options.safeEnabled ? 'true' : 'false'
-            );
-            res.json(results);
-          } else {
-            res.status(204).end(); // No content for all-notification batch
-          }
+        const response = await this.handle(body, {
+          req,
+          res,
+          signal: createDisconnectSignal(res),
+          stream,
+          nativeTypes: encoding.request !== null,
+        });
+        await this.#send(res, response, {
+          format,
+          encoding: encoding.response,
+        });
+      } catch (error) {
+        this.#sendEndpointError(req, res, error);
+      }
+    });
 
-          this.#logger.info('Batch request completed', {
-            batchSize: req.body.length,
-            responseCount: Array.isArray(results) ? results.length : 1,
-            duration: Date.now() - startTime,
-          });
+    // Read-only methods over GET, so browsers and proxies can cache them
+    router.get(`${this.#endpoint}/:method`, async (req, res) => {
+      const format = negotiateStreamFormat(req);
 
+      try {
+        const body = this.#requestFromQuery(req, res);
+        if (!body) {
           return;
         }
 
-        // Single request processing
-        await this.#processSingleRequest(req, res, context, startTime);
-      } catch (error) {
-        this.#logger.error('Endpoint error', {
-          error: error.message,
-          stack: error.stack,
+        const response = await this.handle(body, {
+          req,
+          res,
+          signal: createDisconnectSignal(res),
+          stream: format !== null,
         });
+        if (response && !isAsyncIterable(response) && !response.error) {
+          const { config } = this.resolveMethod(body.method, req.headers);
+          const cacheControl = config.http?.cacheControl;
+          if (cacheControl) {
+            res.setHeader('Cache-Control', cacheControl);
+          }
+          // The version header picks the method and safe mode decodes params
+          res.vary('X-RPC-Method-Version, X-RPC-Safe-Enabled');
+        }
+        await this.#send(res, response, { format, etag: true });
+      } catch (error) {
+        this.#sendEndpointError(req, res, error);
+      }
+    });
 
-        res.json({
-          jsonrpc: '2.0',
-          id: null,
-          error: {
-            code: -32603,
-            message: 'Internal error',
-            data: serializeError(error, true),
-          },
-        });
+    // A host app body parser fails before routes are matched; answer its
+    // errors only for requests to the RPC POST route
+    router.use((error, req, res, next) => {
+      if (req.method === 'POST' && req.path === this.#endpoint) {
+        onBodyError(error, req, res, next);
+        return;
       }
+      next(error);
     });
   }
 
   /**
-   * Process a single JSON-RPC request
-   * @param {Request} req
-   * @param {Response} res
-   * @param {C} context
-   * @param {number} startTime
+   * Dispatch a JSON-RPC request body (single call or batch) and return the
+   * response without touching any transport: a response object, an array for
+   * batches, or null when nothing should be sent (notifications). With
+   * `stream: true`, a single call whose handler returns an async iterable
+   * yields an async iterable of frames instead (see Streaming Results), and
+   * a batch yields each item's response as it completes, then a summary.
+   * @param {any} body Parsed JSON-RPC request or batch
+   * @param {Object} [meta={}]
+   * @param {Object} [meta.headers] Request headers (e.g. `x-rpc-safe-enabled`, `x-rpc-method-version`)
+   * @param {string} [meta.ip] Caller address, for logging and rate limiting
+   * @param {any} [meta.principal] Caller identity already established by the transport
+   * @param {Request} [meta.req] Native request; replaces the request-like object built from `headers`/`ip`
+   * @param {Response} [meta.res] Native response, exposed to middleware as `ctx.res`
+   * @param {(name: string, value: any) => void} [meta.setHeader] Response metadata sink for `call.set()` and Deprecation headers
+   * @param {AbortSignal} [meta.signal] Aborts in-flight handlers
+   * @param {Object} [meta.connection] Connection the request arrived on
+   * @param {boolean} [meta.stream=false] Stream single-call results and batch responses
+   * @param {boolean} [meta.nativeTypes=false] The body was decoded from, and the response
+   *   will be encoded to, a format with native BigInt/Date/Buffer types (MessagePack, CBOR)
+   * @returns {Promise<Object|Object[]|AsyncIterable<Object>|null>}
    */
-  async #processSingleRequest(req, res, context, startTime) {
-    const { method, params, id } = req.body || {};
-    const envelope = validateEnvelope(req.body);
-
-    // Log the incoming request
-    this.#logger.rpcCall(method, params, id, req);
+  async handle(body, meta = {}) {
+    const startTime = Date.now();
+    const req = meta.req ?? {
+      headers: normalizeHeaders(meta.headers),
+      ip: meta.ip,
+      body,
+    };
+    const transport = {
+      res: meta.res ?? null,
+      setHeader: meta.setHeader,
+      signal: meta.signal,
+      connection: meta.connection,
+      principal: meta.principal ?? meta.connection?.principal,
+      nativeTypes: meta.nativeTypes === true,
+    };
 
-    if (!envelope.valid) {
-      return this.reply(res, {
-        id: envelope.responseId,
-        error: envelope.error,
-      });
+    if (!this.#batchHandler.isBatchRequest(body)) {
+      return this.#batchHandler.processSingleRequest(
+        body,
+        req,
+        this.#context,
+        undefined,
+        { ...transport, stream: meta.stream === true }
+      );
     }
 
-    const methodConfig = this.#methods[method];
-    if (!methodConfig) {
-      if (envelope.isNotification) {
-        res.status(204).end();
-        return null;
+    // Transactional batches only answer once committed or rolled back
+    if (meta.stream === true && !this.#options.batch.transactional) {
+      // Rejected batches get a plain error response, not a stream
+      const { batchContext, error } = await this.#batchHandler.prepareBatch(
+        body,
+        req,
+        this.#context,
+        transport
+      );
+      if (error) {
+        return { jsonrpc: '2.0', id: null, error };
       }
 
-      return this.reply(res, {
-        id,
-        error: { code: -32601, message: `Method "${method}" not found` },
+      this.#logger.info('Batch request received', {
+        batchSize: batchContext.batch.length,
+        ip: req.ip,
+        streamed: true,
       });
+
+      return this.#batchHandler.streamBatch(
+        batchContext.batch,
+        req,
+        transport.res,
+        this.#context,
+        { ...transport, batchContext }
+      );
     }
 
-    const handler =
-      typeof methodConfig === 'function' ? methodConfig : methodConfig.handler;
-    const schema =
-      typeof methodConfig === 'object' ? methodConfig.schema : null;
+    this.#logger.info('Batch request received', {
+      batchSize: body.length,
+      ip: req.ip,
+    });
 
-    try {
-      // Check client's safe options from request headers
-      const clientSafeHeader = req.headers['x-rpc-safe-enabled'];
+    const results = await this.#batchHandler.processBatch(
+      body,
+      req,
+      transport.res,
+      this.#context,
+      transport
+    );
 
-      // Strict mode: se server ha safe enabled ma client non invia header → JSON-RPC ERROR
-      if (
-        this.#options.strictMode &&
-        this.#options.safeEnabled &&
-        !clientSafeHeader
-      ) {
-        if (envelope.isNotification) {
-          res.status(204).end();
-          return null;
-        }
+    this.#logger.info('Batch request completed', {
+      batchSize: body.length,
+      responseCount: Array.isArray(results) ? results.length : 1,
+      duration: Date.now() - startTime,
+    });
 
-        return this.reply(res, {
-          id,
-          error: {
-            code: -32600, // Invalid Request
-            message:
-              'RPC Compatibility Error: Server requires safe serialization header but client did not provide it.',
-            data: {
-              serverSafeEnabled: this.#options.safeEnabled,
-              requiredHeader: 'X-RPC-Safe-Enabled',
-              strictMode: true,
-              solution:
-                'Update client to rpc-express-toolkit v4+ or disable server strict mode',
-            },
-          },
-        });
-      }
+    // No response for an all-notification batch
+    return Array.isArray(results) && results.length === 0 ? null : results;
+  }
 
-      // Use client's safe options for parameter deserialization
-      const clientSafeEnabled = clientSafeHeader === 'true';
-      const deserializationOptions = {
-        safeEnabled: clientSafeEnabled,
-      };
+  /**
+   * Write the result of handle() to an Express response
+   * @private
+   * @param {Response} res
+   * @param {Object|Object[]|AsyncIterable<Object>|null} response
+   * @param {Object} [options]
+   * @param {'ndjson'|'sse'|null} [options.format] Negotiated stream format
+   * @param {'msgpack'|'cbor'|null} [options.encoding] Binary response encoding
+   * @param {boolean} [options.etag=false] ETag / If-None-Match for single responses
+   */
+  async #send(
+    res,
+    response,
+    { format = null, encoding = null, etag = false } = {}
+  ) {
+    if (response === null) {
+      res.status(204).end();
+      return;
+    }
 
-      // Deserialize parameters using client's safe options
-      const deserializedParams = hasOwn(req.body, 'params')
-        ? this.deserializeBigIntsAndDates(params, deserializationOptions)
-        : params;
+    if (encoding) {
+      const codec = getCodec(encoding);
+      res.setHeader(
+        'X-RPC-Safe-Enabled',
+        this.#options.safeEnabled ? 'true' : 'false'
+      );
+      res.type(codec.contentType).send(codec.encode(response));
+      return;
+    }
 
-      // Prepare middleware context
-      let middlewareContext = {
-        req,
-        res,
-        method,
-        params: deserializedParams,
-        context,
-        id,
-        startTime,
-      };
+    if (isAsyncIterable(response)) {
+      await this.#writeStream(res, format, response);
+      return;
+    }
 
-      // Execute beforeCall middleware
-      middlewareContext = await this.#middleware.execute(
-        'beforeCall',
-        middlewareContext
+    if (Array.isArray(response)) {
+      // Align batch responses with single-call header negotiation
+      res.setHeader(
+        'X-RPC-Safe-Enabled',
+        this.#options.safeEnabled ? 'true' : 'false'
       );
+      res.json(response);
+      return;
+    }
 
-      // Validate parameters if schema is provided
-      if (schema) {
-        middlewareContext = await this.#middleware.execute(
-          'beforeValidation',
-          middlewareContext
-        );
-
-        const validation = this.#validator.validate(
-          middlewareContext.params,
-          schema
-        );
-        if (!validation.valid) {
-          const error = new Error('Validation failed');
-          error.code = -32602;
-          error.data = {
-            validationErrors: validation.errors.map((err) => ({
-              field: err.instancePath || err.schemaPath,
-              message: err.message,
-              value: err.data,
-            })),
-          };
-          throw error;
-        }
+    this.reply(res, response, { etag: etag && !response.error });
+  }
 
-        middlewareContext.params = validation.data;
-        middlewareContext = await this.#middleware.execute(
-          'afterValidation',
-          middlewareContext
-        );
-      }
+  /**
+   * Write streamed frames as NDJSON or Server-Sent Events, stopping when the
+   * client goes away
+   * @private
+   * @param {Response} res
+   * @param {'ndjson'|'sse'} format
+   * @param {AsyncIterable<Object>} frames
+   */
+  async #writeStream(res, format, frames) {
+    const writer = new StreamWriter(res, format);
+    writer.open({
+      'X-RPC-Safe-Enabled': this.#options.safeEnabled ? 'true' : 'false',
+    });
 
-      // Invoke the handler
-      const result = await Promise.resolve(
-        handler(req, context, middlewareContext.params)
-      );
+    try {
+      await forEachAsync(frames, async (frame) => {
+        await writer.write(frame);
+        if (writer.closed) {
+          this.#logger.debug('Stream closed by client');
+          return false;
+        }
+        return true;
+      });
+    } finally {
+      writer.end();
+    }
+  }
 
-      // Execute afterCall middleware
-      middlewareContext.result = result;
-      await this.#middleware.execute('afterCall', middlewareContext);
+  /**
+   * Answer a request whose body could not be read: oversize bodies get
+   * HTTP 413 with an Invalid Request error, malformed ones a Parse error.
+   * Errors that do not come from body parsing are passed on.
+   * @private
+   * @param {any} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {Function} next
+   */
+  #sendBodyError(error, req, res, next) {
+    const isBodyError =
+      typeof error?.type === 'string' &&
+      Number.isInteger(error.status) &&
+      error.status >= 400 &&
+      error.status < 500;
+    if (!isBodyError || res.headersSent) {
+      next(error);
+      return;
+    }
 
-      // Log success
-      const duration = Date.now() - startTime;
-      this.#logger.rpcSuccess(method, id, duration, result);
+    this.#logger.warn('Request body rejected', {
+      type: error.type,
+      ip: req.ip,
+      bodyLimit: this.#options.bodyLimit,
+    });
 
-      // Convert any BigInt/Date values before JSON-stringifying
-      const safeResult = this.serializeBigIntsAndDates(result);
-      if (envelope.isNotification) {
-        res.status(204).end();
-        return null;
-      }
+    res.status(error.status);
+    this.reply(res, {
+      id: null,
+      error:
+        error.type === 'entity.too.large'
+          ? {
+              code: -32600,
+              message: 'Invalid Request: body exceeds the size limit',
+              data: { limit: this.#options.bodyLimit },
+            }
+          : { code: -32700, message: 'Parse error' },
+    });
+  }
 
-      this.reply(res, { id, result: safeResult });
-    } catch (err) {
-      const duration = Date.now() - startTime;
-      this.#logger.rpcError(method, id, duration, err);
+  /**
+   * Answer a request that failed outside the call pipeline
+   * @private
+   * @param {Request} req
+   * @param {Response} res
+   * @param {Error} error
+   */
+  #sendEndpointError(req, res, error) {
+    this.#logger.error('Endpoint error', {
+      error: error.message,
+      stack: error.stack,
+    });
 
-      // Execute error middleware
-      try {
-        await this.#middleware.execute('onError', {
-          req,
-          res,
-          method,
-          params,
-          context,
-          id,
-          error: err,
-          startTime,
-          duration,
-        });
-      } catch (middlewareError) {
-        this.#logger.error('Error middleware failed', {
-          error: middlewareError.message,
-        });
-      }
+    res.json({
+      jsonrpc: '2.0',
+      id: null,
+      error: this.formatError(error, { req }),
+    });
+  }
 
-      if (envelope.isNotification) {
-        res.status(204).end();
-        return null;
-      }
+  /**
+   * Build a JSON-RPC request from `GET <endpoint>/<method>`. Params come from
+   * a JSON `params` query value or, without it, from the flat query string
+   * coerced to the method schema's types. Replies with an error and returns
+   * null when the method cannot be called with GET.
+   * @private
+   * @param {Request} req
+   * @param {Response} res
+   * @returns {Object|null}
+   */
+  #requestFromQuery(req, res) {
+    const requestedMethod = req.params.method;
+    const resolved = this.resolveMethod(requestedMethod, req.headers);
 
-      const errorData =
-        hasOwn(err, 'data') && err.data !== undefined
-          ? this.serializeBigIntsAndDates(err.data)
-          : undefined;
+    if (!resolved?.config) {
+      res.status(404);
+      this.reply(res, {
+        id: null,
+        error: {
+          code: -32601,
+          message: methodNotFoundMessage(requestedMethod, resolved),
+        },
+      });
+      return null;
+    }
 
+    if (!allowsGet(resolved.config)) {
+      res.status(405).setHeader('Allow', 'POST');
       this.reply(res, {
-        id,
+        id: null,
         error: {
-          code: err.code || -32603,
-          message: err.message || `Internal error`,
-          ...(errorData !== undefined && { data: errorData }),
-          error: serializeError(err, true),
+          code: -32601,
+          message: `Method "${resolved.name}" is not available via GET`,
         },
       });
+      return null;
+    }
+
+    const { params: json, ...query } = req.query;
+    let params;
+    if (typeof json === 'string') {
+      try {
+        params = JSON.parse(json);
+      } catch (error) {
+        res.status(400);
+        this.reply(res, {
+          id: null,
+          error: { code: -32700, message: 'Parse error' },
+        });
+        return null;
+      }
+    } else if (Object.keys(query).length > 0) {
+      const { schema } = resolved.config;
+      params = schema ? this.#validator.coerce(query, schema) : query;
     }
-    // Ensure explicit return for consistent-return rule
-    return null;
+
+    return {
+      jsonrpc: '2.0',
+      method: requestedMethod,
+      id: null,
+      ...(params !== undefined && { params }),
+    };
   }
 
   /**
-   * Register a new JSON-RPC method.
-   * @param {string} name The method name.
-   * @param {Function|Object} handlerOrConfig The function to handle calls or config object with handler, schema, exposeSchema, description.
-   * @param {Object} [optionsOrSchema] Optional config object or schema for backward compatibility.
+   * Decode a MessagePack or CBOR request body. When the body cannot be
+   * decoded, replies with an error and returns `{ handled: true }`.
+   * @private
+   * @param {Request} req
+   * @param {Response} res
+   * @param {{ request: string, response: string }} encoding
+   * @returns {{ body?: any, handled: boolean }}
    */
-  addMethod(name, handlerOrConfig, optionsOrSchema = null) {
-    // Prevent users from registering introspection methods
-    if (
+  #decodeBody(req, res, encoding) {
+    let codec;
+    try {
+      codec = getCodec(encoding.request);
+    } catch (error) {
+      this.#logger.warn('Unsupported request encoding', {
+        contentType: req.headers['content-type'],
+        error: error.message,
+      });
+      res.status(415);
+      this.reply(res, {
+        id: null,
+        error: { code: -32700, message: error.message },
+      });
+      return { handled: true };
+    }
+
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new Error('Empty or unparsed body');
+      }
+      return { body: codec.decode(req.body), handled: false };
+    } catch (error) {
+      const responseCodec = getCodec(encoding.response);
+      res.status(400).type(responseCodec.contentType);
+      res.send(
+        responseCodec.encode({
+          jsonrpc: '2.0',
+          id: null,
+          error: { code: -32700, message: 'Parse error' },
+        })
+      );
+      return { handled: true };
+    }
+  }
+
+  /**
+   * Register a new JSON-RPC method.
+   * @param {string} name The method name.
+   * @param {Function|Object} handlerOrConfig The function to handle calls or config object with handler, schema, exposeSchema, description.
+   * @param {Object} [optionsOrSchema] Optional config object or schema for backward compatibility.
+   */
+  addMethod(name, handlerOrConfig, optionsOrSchema = null) {
+    // Prevent users from registering introspection methods
+    if (
       name.startsWith(this.#introspectionPrefix) &&
       !this.#isInternalRegistration
     ) {
@@ -713,16 +1146,17 @@ class RpcEndpoint {
       );
     }
 
+    if (name.includes('@')) {
+      throw new Error(
+        `Invalid method name "${name}": '@' is reserved for version suffixes`
+      );
+    }
+
     let methodConfig;
 
     if (typeof handlerOrConfig === 'function') {
       // Function handler - optionsOrSchema can be schema (backward compat) or options object
-      if (
-        optionsOrSchema &&
-        (optionsOrSchema.schema ||
-          optionsOrSchema.exposeSchema ||
-          optionsOrSchema.description)
-      ) {
+      if (optionsOrSchema && isMethodOptions(optionsOrSchema)) {
         // New format: options object
         methodConfig = {
           handler: handlerOrConfig,
@@ -745,17 +1179,400 @@ class RpcEndpoint {
       throw new Error('Invalid handler configuration');
     }
 
-    this.#methods[name] = methodConfig;
-
     const config = typeof methodConfig === 'function' ? {} : methodConfig;
+    const version = config.version ?? 1;
+    if (!isValidVersion(version)) {
+      throw new Error(
+        `Invalid version "${version}" for method "${name}": expected a positive integer`
+      );
+    }
+
+    if (
+      config.handlerSignature !== undefined &&
+      !handlerSignatures.includes(config.handlerSignature)
+    ) {
+      throw new Error(
+        `Invalid handlerSignature "${config.handlerSignature}" for method "${name}"`
+      );
+    }
+
+    this.#assertParamNames(name, config);
+    this.#registerOffload(name, methodConfig);
+
+    if (
+      config.http !== undefined &&
+      (config.http === null || typeof config.http !== 'object')
+    ) {
+      throw new Error(
+        `Invalid http option for method "${name}": expected { get, cacheControl }`
+      );
+    }
+
+    const { policy } = this.#resultValidationFor(config);
+    if (!resultValidationPolicies.includes(policy)) {
+      throw new Error(
+        `Invalid result validation policy "${policy}" for method "${name}"`
+      );
+    }
+
+    const methodMiddleware = config.middleware
+      ? this.#createMethodMiddleware(name, config.middleware)
+      : null;
+    const deprecation = normalizeDeprecation(config.deprecated, name);
+
+    if (!this.#versions.has(name)) {
+      this.#versions.set(name, new Map());
+    }
+    this.#versions.get(name).set(version, methodConfig);
+    this.#methods[name] = this.#versions
+      .get(name)
+      .get(this.#latestVersion(name));
+
+    const versionKey = `${name}@${version}`;
+    if (methodMiddleware) {
+      this.#methodMiddleware.set(versionKey, methodMiddleware);
+    } else {
+      this.#methodMiddleware.delete(versionKey);
+    }
+    if (deprecation) {
+      this.#deprecations.set(versionKey, deprecation);
+    } else {
+      this.#deprecations.delete(versionKey);
+    }
+
     this.#logger.debug('Method registered', {
       method: name,
+      version,
       hasSchema: !!config.schema,
+      hasMiddleware: !!methodMiddleware,
+      deprecated: !!deprecation,
       exposeSchema: !!config.exposeSchema,
       hasDescription: !!config.description,
     });
   }
 
+  /**
+   * Invoke a method handler with its configured signature, bounded by the
+   * method timeout. Single and batch calls share it.
+   * @internal
+   * @param {Function|Object} methodConfig
+   * @param {Object} callInfo
+   * @param {string} callInfo.method
+   * @param {number} [callInfo.version] Resolved method version
+   * @param {any} callInfo.params Validated params
+   * @param {string|number|null} [callInfo.id]
+   * @param {boolean} [callInfo.isNotification]
+   * @param {number} [callInfo.batchIndex]
+   * @param {Request} callInfo.req
+   * @param {(name: string, value: any) => void} [callInfo.setHeader] Response metadata sink used by `call.set()`
+   * @param {C} callInfo.context
+   * @param {any} [callInfo.principal]
+   * @param {any} [callInfo.transaction] Transaction of a transactional batch
+   * @param {AbortSignal} [callInfo.signal] Parent signal (client disconnect)
+   * @returns {Promise<any>}
+   */
+  invokeHandler(methodConfig, callInfo) {
+    const handler =
+      typeof methodConfig === 'function' ? methodConfig : methodConfig.handler;
+    const config = typeof methodConfig === 'function' ? {} : methodConfig;
+    const signature = config.handlerSignature || this.#options.handlerSignature;
+
+    const params =
+      config.handlerParams === 'positional'
+        ? toPositionalParams(callInfo.params, config.paramNames)
+        : callInfo.params;
+
+    return invokeWithTimeout(
+      (signal) => {
+        if (config.offload) {
+          const { method, version, id, batchIndex } = callInfo;
+          const isNotification = !!callInfo.isNotification;
+          return this.#workerPools.get(offloadOptions(config.offload).pool).run(
+            handler,
+            params,
+            {
+              id: isNotification ? undefined : id,
+              method,
+              version,
+              isNotification,
+              batchIndex,
+            },
+            { signal }
+          );
+        }
+        return signature === 'call'
+          ? handler(params, this.#createCall(callInfo, signal))
+          : handler(callInfo.req, callInfo.context, params, {
+              signal,
+              ...(callInfo.transaction !== undefined && {
+                transaction: callInfo.transaction,
+              }),
+            });
+      },
+      {
+        method: callInfo.method,
+        timeout: resolveTimeout(methodConfig, this.#options),
+        signal: callInfo.signal,
+      }
+    );
+  }
+
+  /**
+   * Build the invocation object passed to `handler(params, call)`
+   * @private
+   * @param {Object} callInfo
+   * @param {AbortSignal} signal
+   * @returns {Object}
+   */
+  #createCall(callInfo, signal) {
+    const { method, version, id, batchIndex, req, setHeader } = callInfo;
+    const isNotification = !!callInfo.isNotification;
+
+    const call = {
+      id: isNotification ? undefined : id,
+      method,
+      version,
+      isNotification,
+      batchIndex,
+      req,
+      context: callInfo.context,
+      principal: callInfo.principal,
+      transaction: callInfo.transaction,
+      logger: this.#logger.child({ method, id, batchIndex }),
+      signal,
+      /**
+       * Set response metadata (an HTTP response header). In batches all
+       * items write to the shared batch response; transports without
+       * response metadata ignore it.
+       * @param {string} name
+       * @param {string|number|string[]} value
+       * @returns {Object} The call, for chaining
+       */
+      set(name, value) {
+        setHeader?.(name, value);
+        return call;
+      },
+    };
+
+    return call;
+  }
+
+  /**
+   * Validate a method handler and create or check the worker pool of an
+   * offloaded method
+   * @private
+   * @param {string} name
+   * @param {Function|Object} methodConfig
+   */
+  #registerOffload(name, methodConfig) {
+    if (typeof methodConfig === 'function') {
+      return;
+    }
+
+    if (!methodConfig.offload) {
+      if (typeof methodConfig.handler !== 'function') {
+        throw new Error(
+          `Invalid handler for method "${name}": expected a function`
+        );
+      }
+      return;
+    }
+
+    if (
+      typeof methodConfig.handler !== 'string' ||
+      !path.isAbsolute(methodConfig.handler)
+    ) {
+      throw new Error(
+        `Offloaded method "${name}" needs the absolute path of a handler module (use require.resolve())`
+      );
+    }
+
+    const { pool, maxWorkers, cancelGrace } = offloadOptions(
+      methodConfig.offload
+    );
+    const existing = this.#workerPools.get(pool);
+    if (!existing) {
+      this.#workerPools.set(
+        pool,
+        new WorkerPool(pool, { maxWorkers, cancelGrace, logger: this.#logger })
+      );
+      return;
+    }
+
+    if (
+      (maxWorkers !== undefined && maxWorkers !== existing.maxWorkers) ||
+      (cancelGrace !== undefined && cancelGrace !== existing.cancelGrace)
+    ) {
+      throw new Error(
+        `Worker pool "${pool}" is already configured with maxWorkers ${existing.maxWorkers} and cancelGrace ${existing.cancelGrace}`
+      );
+    }
+  }
+
+  /**
+   * Terminate the workers of every offload pool, rejecting calls still
+   * running or queued. Later offloaded calls start new workers.
+   * @returns {Promise<void>}
+   */
+  async closeWorkers() {
+    await Promise.all(
+      [...this.#workerPools.values()].map((pool) => pool.close())
+    );
+  }
+
+  /**
+   * Validate the `paramNames` / `handlerParams` method options
+   * @private
+   * @param {string} name
+   * @param {Object} config
+   */
+  #assertParamNames(name, config) {
+    const { paramNames, handlerParams } = config;
+
+    if (paramNames !== undefined) {
+      const valid =
+        Array.isArray(paramNames) &&
+        paramNames.every((p) => typeof p === 'string' && p.length > 0) &&
+        new Set(paramNames).size === paramNames.length;
+      if (!valid) {
+        throw new Error(
+          `Invalid paramNames for method "${name}": expected an array of unique, non-empty strings`
+        );
+      }
+    }
+
+    if (handlerParams !== undefined) {
+      if (!['named', 'positional'].includes(handlerParams)) {
+        throw new Error(
+          `Invalid handlerParams "${handlerParams}" for method "${name}"`
+        );
+      }
+      if (handlerParams === 'positional' && !paramNames) {
+        throw new Error(
+          `Method "${name}" requires paramNames when handlerParams is "positional"`
+        );
+      }
+    }
+  }
+
+  /**
+   * Convert positional (array) params to named params using the method's
+   * `paramNames`, so one schema validates both call styles.
+   * @internal
+   * @param {string} method
+   * @param {Function|Object} methodConfig
+   * @param {any} params
+   * @returns {any}
+   */
+  mapPositionalParams(method, methodConfig, params) {
+    const paramNames =
+      typeof methodConfig === 'object' ? methodConfig.paramNames : null;
+    if (!paramNames || !Array.isArray(params)) {
+      return params;
+    }
+
+    if (params.length > paramNames.length) {
+      throw new InvalidParamsError(
+        `Too many positional params for method "${method}"`,
+        { paramNames, received: params.length }
+      );
+    }
+
+    return toNamedParams(params, paramNames);
+  }
+
+  /**
+   * Merge endpoint and method result validation settings
+   * @private
+   * @param {Object} config Method config
+   * @returns {{ policy: string, removeAdditional: boolean }}
+   */
+  #resultValidationFor(config) {
+    return {
+      policy: 'error',
+      removeAdditional: false,
+      ...this.#options.resultValidation,
+      ...config.resultValidation,
+    };
+  }
+
+  /**
+   * Validate a handler result against the method's `resultSchema`, applying
+   * the configured policy. Returns the result to send (stripped of
+   * undeclared properties when `removeAdditional` is enabled).
+   * @internal
+   * @param {string} method
+   * @param {Function|Object} methodConfig
+   * @param {any} result
+   * @returns {any}
+   */
+  validateMethodResult(method, methodConfig, result) {
+    const config = typeof methodConfig === 'function' ? {} : methodConfig;
+    if (!config.resultSchema) {
+      return result;
+    }
+
+    const { policy, removeAdditional } = this.#resultValidationFor(config);
+    if (policy === 'development' && process.env.NODE_ENV === 'production') {
+      return result;
+    }
+
+    const validation = this.#validator.validateResult(
+      result,
+      config.resultSchema,
+      { removeAdditional }
+    );
+    if (validation.valid) {
+      return validation.data;
+    }
+
+    const validationErrors = validation.errors.map((err) => ({
+      field: err.instancePath || err.schemaPath,
+      message: err.message,
+    }));
+
+    if (policy === 'warn') {
+      this.#logger.warn('Result validation failed', {
+        method,
+        validationErrors,
+      });
+      return validation.data;
+    }
+
+    throw new RpcMethodError('Result validation failed', -32603, {
+      method,
+      validationErrors,
+    });
+  }
+
+  /**
+   * Build the middleware manager for a method's `middleware` config
+   * @private
+   * @param {string} name
+   * @param {{ [hook: string]: Function|Function[] }} hooks
+   * @returns {MiddlewareManager}
+   */
+  #createMethodMiddleware(name, hooks) {
+    if (typeof hooks !== 'object' || Array.isArray(hooks)) {
+      throw new Error(
+        `Invalid middleware configuration for method "${name}": expected an object keyed by hook`
+      );
+    }
+
+    const manager = new MiddlewareManager();
+    Object.entries(hooks).forEach(([hook, middlewares]) => {
+      if (batchHooks.includes(hook)) {
+        throw new Error(
+          `Invalid middleware configuration for method "${name}": ${hook} is only available on the endpoint`
+        );
+      }
+      [].concat(middlewares).forEach((middleware) => {
+        manager.use(hook, middleware);
+      });
+    });
+    return manager;
+  }
+
   /**
    * Add middleware for specific hooks
    * @param {string} hook
@@ -766,21 +1583,350 @@ class RpcEndpoint {
   }
 
   /**
-   * Remove method
+   * Serve JSON-RPC over WebSocket on an HTTP server, sharing this endpoint's
+   * methods, middleware, validation and serialization. Requires the optional
+   * `ws` package.
+   * @param {import('http').Server} server HTTP(S) server receiving upgrades
+   * @param {Object} [options={}]
+   * @param {string} [options.path] URL path for upgrades (defaults to the endpoint path)
+   * @param {Function} [options.auth] Connection auth run once on upgrade,
+   *   `(req) => boolean | principal`; defaults to the endpoint `auth` option
+   * @param {number} [options.maxPayload] Maximum frame size in bytes
+   * @param {boolean} [options.safeEnabled] Clients use safe serialization
+   *   (defaults to the endpoint's)
+   * @returns {WebSocketTransport}
+   */
+  attachWebSocket(server, options = {}) {
+    const transport = new WebSocketTransport(this, {
+      path: options.path || this.#endpoint,
+      auth: options.auth ?? this.#options.auth,
+      maxPayload: options.maxPayload,
+      safeEnabled: options.safeEnabled ?? this.#options.safeEnabled,
+    });
+
+    this.#logger.info('WebSocket transport attached', {
+      path: transport.path,
+    });
+
+    return transport.attach(server);
+  }
+
+  /**
+   * Serve JSON-RPC over a framed byte stream: a duplex stream, a
+   * `{ readable, writable }` pair such as stdio, or every connection of a
+   * Unix socket (`{ path }`) or TCP (`{ port, host }`) server.
+   * @param {import('stream').Duplex|Object} target
+   * @param {Object} [options={}]
+   * @param {'ndjson'|'content-length'} [options.framing='ndjson'] Newline-delimited
+   *   JSON, or LSP-style `Content-Length` headers
+   * @param {number} [options.maxMessageSize=1048576] Largest accepted message, in bytes
+   * @param {boolean} [options.safeEnabled] Clients use safe serialization
+   *   (defaults to the endpoint's)
+   * @returns {Promise<StreamTransport>} Resolves once serving (listening)
+   */
+  async listenStream(target, options = {}) {
+    const transport = new StreamTransport(this, options);
+    return transport.listen(target);
+  }
+
+  /**
+   * Create an in-process client with the `call` / `notify` / `batch` API of
+   * `RpcClient`. Calls dispatch through `handle()` with no HTTP but the same
+   * envelope validation, middleware, schema validation and serialization.
+   * @param {Object} [options={}]
+   * @param {Object} [options.headers] Request headers sent with every call
+   * @param {any} [options.principal] Caller identity for every call
+   * @param {boolean} [options.safeEnabled] Client safe serialization (defaults to the endpoint's)
+   * @returns {LocalClient}
+   */
+  createLocalClient(options = {}) {
+    return new LocalClient(this, options);
+  }
+
+  /**
+   * Create (or get) a namespace whose methods are registered as `<name>.<method>`.
+   * Namespace middleware and built-in options (auth, rateLimit, methodWhitelist)
+   * only apply to methods in that namespace, after the endpoint-wide chain.
+   * @param {string} name
+   * @param {Object} [options] Built-in middleware options for the namespace
+   * @returns {RpcNamespace}
+   */
+  namespace(name, options) {
+    if (typeof name !== 'string' || name.length === 0 || name.endsWith('.')) {
+      throw new Error('Namespace name must be a non-empty string');
+    }
+
+    if (name.startsWith(this.#introspectionPrefix)) {
+      throw new Error(
+        `Namespace names starting with '${this.#introspectionPrefix}' are reserved for RPC introspection`
+      );
+    }
+
+    if (this.#namespaces.has(name)) {
+      if (options) {
+        throw new Error(`Namespace "${name}" is already configured`);
+      }
+      return this.#namespaces.get(name);
+    }
+
+    const namespace = new RpcNamespace(this, name, options);
+    this.#namespaces.set(name, namespace);
+    this.#logger.debug('Namespace registered', { namespace: name });
+    return namespace;
+  }
+
+  /**
+   * Namespaces owning a method, outermost first
+   * @private
+   * @param {string} method
+   * @returns {RpcNamespace[]}
+   */
+  #namespacesFor(method) {
+    return [...this.#namespaces.values()]
+      .filter((namespace) => namespace.owns(method))
+      .sort((a, b) => a.name.length - b.name.length);
+  }
+
+  /**
+   * Name of the innermost namespace owning a method
+   * @private
+   * @param {string} method
+   * @returns {string|null}
+   */
+  #namespaceOf(method) {
+    const owners = this.#namespacesFor(method);
+    return owners.length > 0 ? owners[owners.length - 1].name : null;
+  }
+
+  /**
+   * Run a middleware hook for a call: the endpoint-wide chain first, then the
+   * chains of the namespaces owning `context.method`, then the middleware
+   * declared in the method's own config.
+   * @param {string} hook
+   * @param {Object} context
+   * @returns {Promise<Object>}
+   */
+  async executeMiddleware(hook, context) {
+    const managers = [
+      this.#middleware,
+      ...this.#namespacesFor(context.method).map(
+        (namespace) => namespace.middleware
+      ),
+    ];
+
+    const version = context.version ?? this.#latestVersion(context.method);
+    const methodMiddleware = this.#methodMiddleware.get(
+      `${context.method}@${version}`
+    );
+    if (methodMiddleware) {
+      managers.push(methodMiddleware);
+    }
+
+    return managers.reduce(
+      (promise, manager) => promise.then((acc) => manager.execute(hook, acc)),
+      Promise.resolve(context)
+    );
+  }
+
+  /**
+   * Resolve the method (and version) a request addresses. A `name@N` suffix
+   * selects version N, otherwise the `X-RPC-Method-Version` header does, and
+   * the latest registered version is the default. The header covers every
+   * call of the request, so a method without version N gets its highest
+   * version below N; versions above N are never used.
+   * @param {string} requested Method name from the request
+   * @param {Object} [headers={}] Request headers
+   * @returns {{ name: string, version: any, config: any }|null}
+   * null when no method has that name; `config` is null when the name exists
+   * but the requested version does not.
+   */
+  resolveMethod(requested, headers = {}) {
+    if (typeof requested !== 'string') {
+      return null;
+    }
+
+    const { name, version, fromHeader } = parseVersionedMethod(
+      requested,
+      headers
+    );
+    const versions = this.#versions.get(name);
+    if (!versions) {
+      return null;
+    }
+
+    let selected = version ?? this.#latestVersion(name);
+    if (fromHeader && isValidVersion(version) && !versions.has(version)) {
+      const below = [...versions.keys()].filter(
+        (candidate) => candidate < version
+      );
+      if (below.length) {
+        selected = Math.max(...below);
+      }
+    }
+    return { name, version: selected, config: versions.get(selected) ?? null };
+  }
+
+  /**
+   * Highest registered version of a method
+   * @private
+   * @param {string} name
+   * @returns {number|undefined}
+   */
+  #latestVersion(name) {
+    const versions = this.#versions.get(name);
+    return versions ? Math.max(...versions.keys()) : undefined;
+  }
+
+  /**
+   * Introspection entry for a method: the latest version's details plus every
+   * version whose schema is exposed. Null when the latest version hides its schema.
+   * @private
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  #describeMethod(name) {
+    const versions = [...this.#versions.get(name)]
+      .sort(([a], [b]) => a - b)
+      .map(([version, methodConfig]) => {
+        const config = typeof methodConfig === 'function' ? {} : methodConfig;
+        if (!config.exposeSchema) {
+          return null;
+        }
+
+        return {
+          version,
+          schema: config.schema || null,
+          description: config.description || '',
+          resultSchema: config.resultSchema || null,
+          paramNames: config.paramNames || null,
+          timeout: resolveTimeout(methodConfig, this.#options),
+          httpGet: allowsGet(methodConfig),
+          deprecated: this.#describeDeprecationOf(name, version),
+        };
+      })
+      .filter(Boolean);
+
+    const latest = versions[versions.length - 1];
+    if (!latest || latest.version !== this.#latestVersion(name)) {
+      return null;
+    }
+
+    const { version, ...details } = latest;
+    return {
+      name,
+      ...details,
+      namespace: this.#namespaceOf(name),
+      version,
+      versions,
+    };
+  }
+
+  /**
+   * Deprecation metadata of a method version, for introspection
+   * @private
+   * @param {string} name
+   * @param {number} version
+   * @returns {Object|null}
+   */
+  #describeDeprecationOf(name, version) {
+    const deprecation = this.#deprecations.get(`${name}@${version}`);
+    return deprecation ? describeDeprecation(deprecation) : null;
+  }
+
+  /**
+   * Get the normalized deprecation of a method version
+   * @param {string} method Method name
+   * @param {number} [version] Defaults to the latest version
+   * @returns {{ since: Date|null, sunset: Date|null, replacement: string|null, rejectAfterSunset?: boolean }|null}
+   */
+  getDeprecation(method, version) {
+    const selected = version ?? this.#latestVersion(method);
+    return this.#deprecations.get(`${method}@${selected}`) || null;
+  }
+
+  /**
+   * Handle a call to a possibly deprecated method: log a warning, set the
+   * `Deprecation`/`Sunset` headers when a header sink is given (single calls),
+   * and throw a MethodSunsetError once the sunset date has passed if
+   * `rejectAfterSunset` is enabled.
+   * @internal
+   * @param {string} method
+   * @param {number} [version]
+   * @param {Object} [call]
+   * @param {string|number|null} [call.id]
+   * @param {number} [call.batchIndex]
+   * @param {((name: string, value: any) => void)|null} [call.setHeader]
+   * @returns {Object|null} The normalized deprecation, or null
+   */
+  checkDeprecation(method, version, { id, batchIndex, setHeader } = {}) {
+    const deprecation = this.getDeprecation(method, version);
+    if (!deprecation) {
+      return null;
+    }
+
+    if (setHeader) {
+      Object.entries(deprecationHeaders(deprecation)).forEach(([name, value]) =>
+        setHeader(name, value)
+      );
+    }
+
+    this.#logger.warn('Deprecated method called', {
+      method,
+      version,
+      id,
+      batchIndex,
+      ...describeDeprecation(deprecation),
+    });
+
+    const reject =
+      deprecation.rejectAfterSunset ?? this.#options.rejectAfterSunset;
+    if (reject && isSunset(deprecation)) {
+      throw createSunsetError(method, deprecation);
+    }
+
+    return deprecation;
+  }
+
+  /**
+   * Remove a method. `name@N` removes only version N; a bare name removes
+   * every version.
    * @param {string} name
    */
   removeMethod(name) {
-    delete this.#methods[name];
-    this.#logger.debug('Method removed', { method: name });
+    const { name: baseName, version } = parseVersionedMethod(name);
+    const versions = this.#versions.get(baseName);
+    if (!versions) {
+      return;
+    }
+
+    const removed = version === null ? [...versions.keys()] : [version];
+    removed.forEach((v) => {
+      versions.delete(v);
+      this.#methodMiddleware.delete(`${baseName}@${v}`);
+      this.#deprecations.delete(`${baseName}@${v}`);
+    });
+
+    if (versions.size === 0) {
+      this.#versions.delete(baseName);
+      delete this.#methods[baseName];
+    } else {
+      this.#methods[baseName] = versions.get(this.#latestVersion(baseName));
+    }
+
+    this.#logger.debug('Method removed', {
+      method: baseName,
+      versions: removed,
+    });
   }
 
   /**
-   * Get method configuration
+   * Get method configuration. Accepts `name@N` for a specific version;
+   * a bare name returns the latest version.
    * @param {string} name
    * @returns {any}
    */
   getMethod(name) {
-    return this.#methods[name];
+    return this.resolveMethod(name)?.config ?? undefined;
   }
 
   /**
@@ -854,6 +2000,75 @@ class RpcEndpoint {
     };
   }
 
+  /**
+   * Convert a thrown value into a JSON-RPC error object, serializing `data`
+   * with the endpoint's BigInt/Date settings. Single and batch calls share it.
+   *
+   * `options.errors.transform(err, call)` runs first and may return a
+   * replacement error; `options.errors.expose` then decides how much of it
+   * reaches the client.
+   * @internal
+   * @param {any} error
+   * @param {Object} [call] The failed call: method, id, params, req, batchIndex,
+   *   and `nativeTypes` to leave `data` unserialized for binary encodings
+   * @returns {{ code: number, message: string, data?: any }}
+   */
+  formatError(error, call = {}) {
+    const { expose, transform } = this.#options.errors;
+    let target = error;
+
+    if (typeof transform === 'function') {
+      try {
+        const transformed = transform(error, call);
+        if (transformed !== undefined) {
+          target = transformed;
+        }
+      } catch (transformError) {
+        this.#logger.error('Error transformer failed', {
+          method: call.method,
+          error: transformError.message,
+        });
+      }
+    }
+
+    if (expose === 'none' && !isRpcError(target)) {
+      const incidentId = randomUUID();
+      this.#logger.error('Unexpected error', {
+        incidentId,
+        method: call.method,
+        id: call.id,
+        batchIndex: call.batchIndex,
+        error: serializeError(target),
+      });
+      target = { message: 'Internal error', data: { incidentId } };
+    } else if (
+      expose === 'full' &&
+      target !== null &&
+      typeof target === 'object'
+    ) {
+      const data =
+        hasOwn(target, 'data') && target.data !== undefined ? target.data : {};
+      target = {
+        code: target.code,
+        message: target.message,
+        data: {
+          ...(data !== null && typeof data === 'object' && !Array.isArray(data)
+            ? data
+            : { value: data }),
+          error: serializeError(target),
+        },
+      };
+    }
+
+    return formatRpcError(target, {
+      // Binary encodings carry BigInt/Date natively
+      serializeData: call.nativeTypes
+        ? undefined
+        : (data) => this.serializeBigIntsAndDates(data),
+      batchIndex: call.batchIndex,
+    });
+  }
+
   /**
    * Send a JSON-RPC 2.0 response.
    * @param {Response} res The Express response object.
@@ -862,8 +2077,11 @@ class RpcEndpoint {
    *   result?: any,
    *   error?: { code: number, message: string, data?: any }
    * }} responsePayload The JSON-RPC response fields.
+   * @param {Object} [options]
+   * @param {boolean} [options.etag=false] Add an ETag computed from the
+   *   serialized response and answer a matching If-None-Match with 304.
    */
-  reply(res, { id, result, error }) {
+  reply(res, { id, result, error }, { etag = false } = {}) {
     const response = { jsonrpc: '2.0', id: id === undefined ? null : id };
 
     if (error) {
@@ -879,6 +2097,20 @@ class RpcEndpoint {
       this.#options.safeEnabled ? 'true' : 'false'
     );
 
+    if (etag) {
+      const body = JSON.stringify(response);
+      const tag = computeETag(body);
+      res.setHeader('ETag', tag);
+
+      if (isNotModified(res.req?.headers['if-none-match'], tag)) {
+        res.status(304).end();
+        return;
+      }
+
+      res.type('application/json').send(body);
+      return;
+    }
+
     res.json(response);
   }
 
@@ -1158,3 +2390,17 @@ module.exports.SchemaValidator = SchemaValidator;
 module.exports.commonSchemas = commonSchemas;
 module.exports.SchemaBuilder = SchemaBuilder;
 module.exports.BatchHandler = BatchHandler;
+module.exports.RpcNamespace = RpcNamespace;
+module.exports.WebSocketTransport = WebSocketTransport;
+module.exports.LocalClient = LocalClient;
+module.exports.StreamTransport = StreamTransport;
+module.exports.WorkerPool = WorkerPool;
+module.exports.RpcMethodError = RpcMethodError;
+module.exports.InvalidParamsError = InvalidParamsError;
+module.exports.UnauthorizedError = UnauthorizedError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.RateLimitedError = RateLimitedError;
+module.exports.MethodSunsetError = MethodSunsetError;
+module.exports.DependencyFailedError = DependencyFailedError;
+module.exports.TransactionRolledBackError = TransactionRolledBackError;
+module.exports.formatRpcError = formatRpcError;
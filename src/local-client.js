@@ -0,0 +1,210 @@
+/**
+ * @file LocalClient Class
+ * @description In-process JSON-RPC client dispatching straight into an endpoint
+ */
+const { RpcMethodError } = require('./errors');
+
+/**
+ * Encode a value the way a remote client puts it on the wire: BigInt as
+ * `"<digits>n"`, and with safe serialization `S:`-prefixed strings and
+ * `D:`-prefixed dates
+ * @param {any} value
+ * @param {boolean} safeEnabled
+ * @returns {any}
+ */
+function encodeValue(value, safeEnabled) {
+  if (typeof value === 'bigint') {
+    return `${value.toString()}n`;
+  }
+  if (value instanceof Date) {
+    const isoString = value.toISOString();
+    return safeEnabled ? `D:${isoString}` : isoString;
+  }
+  if (typeof value === 'string') {
+    return safeEnabled ? `S:${value}` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => encodeValue(item, safeEnabled));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        encodeValue(item, safeEnabled),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Round-trip a payload through JSON, as the HTTP transport would
+ * @param {any} payload
+ * @returns {any}
+ */
+function overTheWire(payload) {
+  return payload === undefined
+    ? undefined
+    : JSON.parse(JSON.stringify(payload));
+}
+
+/**
+ * Client with the `call` / `notify` / `batch` API of `RpcClient` that
+ * dispatches into an RpcEndpoint in the same process. Requests and responses
+ * are encoded and JSON round-tripped exactly as over HTTP, so envelope
+ * validation, middleware, schema validation and safe serialization behave
+ * the same; only the network is skipped. Created by
+ * `RpcEndpoint#createLocalClient`.
+ *
+ * @example
+ * const client = rpc.createLocalClient({ principal: { userId: 1 } });
+ * const total = await client.call('cart.total', { cartId: 7 });
+ */
+class LocalClient {
+  /** @type {Object} */
+  #endpoint;
+
+  /** @type {Object} */
+  #headers;
+
+  /** @type {any} */
+  #principal;
+
+  /** @type {boolean} */
+  #safeEnabled;
+
+  /** @type {number} */
+  #nextId = 1;
+
+  /**
+   * @param {Object} endpoint The RpcEndpoint to dispatch into
+   * @param {Object} [options={}]
+   * @param {Object} [options.headers={}] Request headers sent with every call
+   * @param {any} [options.principal] Caller identity for every call
+   * @param {boolean} [options.safeEnabled] Client safe serialization (defaults to the endpoint's)
+   */
+  constructor(endpoint, { headers = {}, principal, safeEnabled } = {}) {
+    this.#endpoint = endpoint;
+    this.#headers = headers;
+    this.#principal = principal;
+    this.#safeEnabled = safeEnabled ?? !!endpoint.options.safeEnabled;
+  }
+
+  /**
+   * Call a method and resolve to its deserialized result
+   * @param {string} method
+   * @param {any} [params]
+   * @returns {Promise<any>}
+   * @throws {RpcMethodError} With the JSON-RPC error code, message and data
+   */
+  async call(method, params) {
+    const response = await this.#send(this.#request(method, params, true));
+    if (response.error) {
+      throw this.#toError(response.error);
+    }
+    return this.#deserialize(response.result);
+  }
+
+  /**
+   * Send a notification (no response is returned, errors included)
+   * @param {string} method
+   * @param {any} [params]
+   * @returns {Promise<void>}
+   */
+  async notify(method, params) {
+    await this.#send(this.#request(method, params, false));
+  }
+
+  /**
+   * Send a batch. Items are `{ method, params }`; `notify: true` makes an item
+   * a notification. Resolves to one entry per non-notification item, in
+   * request order: `{ id, result }` or `{ id, error }` (an RpcMethodError).
+   * @param {Array<{ method: string, params?: any, notify?: boolean }>} requests
+   * @returns {Promise<Array<{ id: number, result?: any, error?: RpcMethodError }>>}
+   */
+  async batch(requests) {
+    const batch = requests.map(({ method, params, notify }) =>
+      this.#request(method, params, !notify)
+    );
+    const responses = await this.#send(batch);
+    if (responses && !Array.isArray(responses)) {
+      throw this.#toError(responses.error);
+    }
+
+    const byId = new Map((responses || []).map((item) => [item.id, item]));
+    return batch
+      .filter((request) => 'id' in request)
+      .map(({ id }) => {
+        const response = byId.get(id);
+        if (!response || response.error) {
+          return {
+            id,
+            error: this.#toError(
+              response?.error ?? { code: -32603, message: 'No response' }
+            ),
+          };
+        }
+        return { id, result: this.#deserialize(response.result) };
+      });
+  }
+
+  /**
+   * Build a JSON-RPC request
+   * @param {string} method
+   * @param {any} params
+   * @param {boolean} withId
+   * @returns {Object}
+   */
+  #request(method, params, withId) {
+    const request = { jsonrpc: '2.0', method };
+    if (params !== undefined) {
+      request.params = encodeValue(params, this.#safeEnabled);
+    }
+    if (withId) {
+      request.id = this.#nextId;
+      this.#nextId += 1;
+    }
+    return request;
+  }
+
+  /**
+   * Dispatch a request or batch into the endpoint
+   * @param {Object|Array} body
+   * @returns {Promise<Object|Array|null>}
+   */
+  async #send(body) {
+    const response = await this.#endpoint.handle(overTheWire(body), {
+      headers: {
+        ...this.#headers,
+        'X-RPC-Safe-Enabled': this.#safeEnabled ? 'true' : 'false',
+      },
+      principal: this.#principal,
+    });
+    return response === null ? null : overTheWire(response);
+  }
+
+  /**
+   * Re-hydrate a result encoded with the endpoint's safe serialization
+   * @param {any} value
+   * @returns {any}
+   */
+  #deserialize(value) {
+    return this.#endpoint.deserializeBigIntsAndDates(value, {
+      safeEnabled: !!this.#endpoint.options.safeEnabled,
+    });
+  }
+
+  /**
+   * @param {{ code: number, message: string, data?: any }} error
+   * @returns {RpcMethodError}
+   */
+  #toError({ code, message, data }) {
+    return new RpcMethodError(
+      message,
+      code,
+      data === undefined ? undefined : this.#deserialize(data)
+    );
+  }
+}
+
+module.exports = LocalClient;
@@ -12,6 +12,7 @@ class Logger {
     this.enabled = options.enabled !== false;
     this.prefix = options.prefix || '[JSON-RPC]';
     this.customLogger = options.logger || null;
+    this.bindings = options.bindings || {};
 
     this.levels = {
       error: 0,
@@ -79,20 +80,38 @@ class Logger {
   log(level, message, meta = {}) {
     if (!this.shouldLog(level)) return;
 
-    const logData = this.formatMessage(level, message, meta);
+    const fields = { ...this.bindings, ...meta };
+    const logData = this.formatMessage(level, message, fields);
 
     if (this.customLogger) {
       this.customLogger[level](logData);
     } else {
       const logMessage = `${this.prefix} ${logData.timestamp} [${logData.level}] ${message}`;
       const metaStr =
-        Object.keys(meta).length > 0 ? ` | ${this.safeStringify(meta)}` : '';
+        Object.keys(fields).length > 0
+          ? ` | ${this.safeStringify(fields)}`
+          : '';
       console[level === 'debug' || level === 'trace' ? 'log' : level](
         `${logMessage}${metaStr}`
       );
     }
   }
 
+  /**
+   * Create a logger that adds `bindings` to every entry
+   * @param {Object} bindings
+   * @returns {Logger}
+   */
+  child(bindings = {}) {
+    return new Logger({
+      level: this.level,
+      enabled: this.enabled,
+      prefix: this.prefix,
+      logger: this.customLogger,
+      bindings: { ...this.bindings, ...bindings },
+    });
+  }
+
   error(message, meta) {
     this.log('error', message, meta);
   }
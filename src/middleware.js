@@ -3,6 +3,19 @@
  * @description Handles middleware execution for JSON-RPC requests including built-in middleware
  */
 
+const {
+  RateLimitedError,
+  RpcMethodError,
+  UnauthorizedError,
+} = require('./errors');
+
+/**
+ * Hooks that run once per batch rather than per call. They are only
+ * available endpoint-wide, not on namespaces or methods.
+ * @type {Array<string>}
+ */
+const batchHooks = ['beforeBatch', 'afterBatch'];
+
 /**
  * Middleware manager for handling RPC middleware
  */
@@ -14,6 +27,8 @@ class MiddlewareManager {
       onError: [],
       beforeValidation: [],
       afterValidation: [],
+      beforeBatch: [],
+      afterBatch: [],
     };
   }
 
@@ -157,9 +172,7 @@ const builtInMiddlewares = {
       const userRequests = requests.get(key) || [];
 
       if (userRequests.length >= max) {
-        const error = new Error(message);
-        error.code = -32000; // Custom JSON-RPC error code
-        throw error;
+        throw new RateLimitedError(message);
       }
 
       userRequests.push(now);
@@ -170,22 +183,36 @@ const builtInMiddlewares = {
   },
 
   /**
-   * Authentication middleware
+   * Authentication middleware. When the auth function returns an object, it
+   * is stored as `context.principal` for later middleware and handlers.
+   * Calls on a connection (WebSocket upgrade) or in a batch (`beforeBatch`)
+   * already authenticated with the same function are not checked again.
    * @param {Function} authFunction
    * @returns {Function}
    */
   auth(authFunction) {
     return async (context) => {
       const { req } = context;
+
+      if (
+        context.connection?.authenticatedBy === authFunction ||
+        context.authenticatedBy === authFunction
+      ) {
+        return context;
+      }
       const isAuthenticated = await authFunction(req);
 
       if (!isAuthenticated) {
-        const error = new Error('Authentication required');
-        error.code = -32001;
-        throw error;
+        throw new UnauthorizedError();
       }
 
-      return context;
+      return {
+        ...context,
+        authenticatedBy: authFunction,
+        ...(typeof isAuthenticated === 'object' && {
+          principal: isAuthenticated,
+        }),
+      };
     };
   },
 
@@ -231,9 +258,7 @@ const builtInMiddlewares = {
       const { method } = context;
 
       if (!allowedMethods.includes(method)) {
-        const error = new Error(`Method '${method}' is not allowed`);
-        error.code = -32601;
-        throw error;
+        throw new RpcMethodError(`Method '${method}' is not allowed`, -32601);
       }
 
       return context;
@@ -241,4 +266,4 @@ const builtInMiddlewares = {
   },
 };
 
-module.exports = { MiddlewareManager, builtInMiddlewares };
+module.exports = { MiddlewareManager, batchHooks, builtInMiddlewares };
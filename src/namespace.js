@@ -0,0 +1,162 @@
+/**
+ * @file RpcNamespace Class
+ * @description Sub-registry that prefixes method names and scopes middleware to a namespace
+ */
+const {
+  MiddlewareManager,
+  batchHooks,
+  builtInMiddlewares,
+} = require('./middleware');
+
+/**
+ * A group of methods sharing a name prefix (e.g. `billing.*`) with its own
+ * middleware chain. Namespace middleware runs after the endpoint-wide chain
+ * for every method whose name starts with `<name>.`.
+ */
+class RpcNamespace {
+  /** @type {Object} */
+  #endpoint;
+
+  /** @type {string} */
+  #name;
+
+  /** @type {MiddlewareManager} */
+  #middleware;
+
+  /**
+   * @param {Object} endpoint The owning RpcEndpoint
+   * @param {string} name Namespace name (without trailing dot)
+   * @param {Object} [options={}] Built-in middleware options: auth, rateLimit, methodWhitelist
+   */
+  constructor(endpoint, name, options = {}) {
+    this.#endpoint = endpoint;
+    this.#name = name;
+    this.#middleware = new MiddlewareManager();
+
+    this.#setupBuiltInMiddleware(options);
+  }
+
+  /**
+   * Setup built-in middleware scoped to this namespace
+   * @param {Object} options
+   */
+  #setupBuiltInMiddleware({ rateLimit, auth, methodWhitelist }) {
+    if (rateLimit) {
+      this.use('beforeCall', builtInMiddlewares.rateLimit(rateLimit));
+    }
+
+    if (auth) {
+      this.use('beforeCall', builtInMiddlewares.auth(auth));
+    }
+
+    if (methodWhitelist && Array.isArray(methodWhitelist)) {
+      this.use(
+        'beforeCall',
+        builtInMiddlewares.methodWhitelist(
+          methodWhitelist.map((method) => this.qualify(method))
+        )
+      );
+    }
+  }
+
+  /** @returns {string} The namespace name, e.g. "billing". */
+  get name() {
+    return this.#name;
+  }
+
+  /**
+   * Get the namespace middleware manager
+   * @returns {MiddlewareManager}
+   */
+  get middleware() {
+    return this.#middleware;
+  }
+
+  /**
+   * Build the fully-qualified method name
+   * @param {string} method Method name relative to the namespace
+   * @returns {string}
+   */
+  qualify(method) {
+    return `${this.#name}.${method}`;
+  }
+
+  /**
+   * Check whether a fully-qualified method name belongs to this namespace
+   * @param {string} method
+   * @returns {boolean}
+   */
+  owns(method) {
+    return typeof method === 'string' && method.startsWith(`${this.#name}.`);
+  }
+
+  /**
+   * Register a method inside the namespace. Accepts the same arguments as
+   * `RpcEndpoint#addMethod`.
+   * @param {string} name Method name relative to the namespace
+   * @param {Function|Object} handlerOrConfig
+   * @param {Object} [optionsOrSchema]
+   * @returns {RpcNamespace}
+   */
+  addMethod(name, handlerOrConfig, optionsOrSchema = null) {
+    this.#endpoint.addMethod(
+      this.qualify(name),
+      handlerOrConfig,
+      optionsOrSchema
+    );
+    return this;
+  }
+
+  /**
+   * Add middleware that only runs for methods in this namespace
+   * @param {string} hook
+   * @param {Function} middleware
+   * @returns {RpcNamespace}
+   */
+  use(hook, middleware) {
+    if (batchHooks.includes(hook)) {
+      throw new Error(
+        `Namespace "${this.#name}": ${hook} is only available on the endpoint`
+      );
+    }
+    this.#middleware.use(hook, middleware);
+    return this;
+  }
+
+  /**
+   * Create (or get) a nested namespace, e.g. `billing.invoices`
+   * @param {string} name
+   * @param {Object} [options]
+   * @returns {RpcNamespace}
+   */
+  namespace(name, options) {
+    return this.#endpoint.namespace(this.qualify(name), options);
+  }
+
+  /**
+   * Remove a method from the namespace
+   * @param {string} name Method name relative to the namespace
+   */
+  removeMethod(name) {
+    this.#endpoint.removeMethod(this.qualify(name));
+  }
+
+  /**
+   * Get method configuration
+   * @param {string} name Method name relative to the namespace
+   * @returns {any}
+   */
+  getMethod(name) {
+    return this.#endpoint.getMethod(this.qualify(name));
+  }
+
+  /**
+   * List fully-qualified names of the methods in this namespace
+   * @returns {string[]}
+   */
+  listMethods() {
+    return this.#endpoint.listMethods().filter((name) => this.owns(name));
+  }
+}
+
+module.exports = RpcNamespace;
@@ -1,5 +1,26 @@
 const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
 
+/**
+ * Batch execution modes, set by the `batch.mode` option or per request with
+ * the `X-RPC-Batch-Mode` header.
+ * - parallel: items run concurrently (up to `batch.concurrency`)
+ * - sequential: items run one after another and may reference earlier results
+ * @type {Array<string>}
+ */
+const batchModes = ['parallel', 'sequential'];
+
+/**
+ * Policies for batch items sharing an id, set by the `batch.duplicateIds`
+ * option.
+ * - allow: process them as usual (responses share the id)
+ * - reject: fail the whole batch with -32600
+ * @type {Array<string>}
+ */
+const duplicateIdPolicies = ['allow', 'reject'];
+
+/** Request header selecting the batch mode (lowercase, as Node exposes it) */
+const BATCH_MODE_HEADER = 'x-rpc-batch-mode';
+
 function isObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
@@ -74,6 +95,41 @@ function validateEnvelope(request) {
   };
 }
 
+/**
+ * Map positional params onto names: `[1, 2]` with `['a', 'b']` becomes
+ * `{ a: 1, b: 2 }`. Missing trailing values are left out; non-array params
+ * are returned unchanged.
+ * @param {any} params
+ * @param {string[]} paramNames
+ * @returns {any}
+ */
+function toNamedParams(params, paramNames) {
+  if (!Array.isArray(params)) {
+    return params;
+  }
+
+  return Object.fromEntries(
+    paramNames
+      .slice(0, params.length)
+      .map((name, index) => [name, params[index]])
+  );
+}
+
+/**
+ * Map named params back to positional order: `{ a: 1, b: 2 }` with
+ * `['a', 'b']` becomes `[1, 2]`. Non-object params are returned unchanged.
+ * @param {any} params
+ * @param {string[]} paramNames
+ * @returns {any}
+ */
+function toPositionalParams(params, paramNames) {
+  if (!isObject(params)) {
+    return params;
+  }
+
+  return paramNames.map((name) => params[name]);
+}
+
 function addBatchIndex(error, batchIndex) {
   const data =
     error.data !== undefined && isObject(error.data) ? error.data : {};
@@ -90,8 +146,25 @@ function addBatchIndex(error, batchIndex) {
   };
 }
 
+// Lowercase header names, as Node does for incoming HTTP requests
+function normalizeHeaders(headers) {
+  if (!isObject(headers)) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+}
+
 module.exports = {
+  BATCH_MODE_HEADER,
   addBatchIndex,
+  batchModes,
+  duplicateIdPolicies,
   hasOwn,
+  normalizeHeaders,
+  toNamedParams,
+  toPositionalParams,
   validateEnvelope,
 };
@@ -0,0 +1,122 @@
+/**
+ * @file Batch result references
+ * @description `{ "$ref": "<index>.result.<path>" }` params placeholders resolved against earlier items of a sequential batch
+ */
+const { DependencyFailedError, InvalidParamsError } = require('./errors');
+const { hasOwn } = require('./protocol');
+
+const REF_KEY = '$ref';
+
+/**
+ * Whether a value is a plain object (not an array, Date, Buffer, ...)
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Whether a value is a `{ "$ref": "..." }` placeholder
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isReference(value) {
+  return (
+    isPlainObject(value) &&
+    Object.keys(value).length === 1 &&
+    typeof value[REF_KEY] === 'string'
+  );
+}
+
+/**
+ * Look up the value a reference points to
+ * @param {string} ref e.g. `0.result.id`
+ * @param {number} batchIndex Position of the referencing item
+ * @param {Array<Object|null>} responses Responses of the items before it
+ * @returns {any}
+ * @throws {InvalidParamsError} When the reference is malformed or points nowhere
+ * @throws {DependencyFailedError} When the referenced item failed
+ */
+function lookup(ref, batchIndex, responses) {
+  const [indexPart, field, ...path] = ref.split('.');
+  if (!/^\d+$/.test(indexPart) || field !== 'result') {
+    throw new InvalidParamsError(
+      `Invalid $ref "${ref}": expected "<index>.result[.<path>]"`,
+      { ref }
+    );
+  }
+
+  const index = Number(indexPart);
+  if (index >= batchIndex) {
+    throw new InvalidParamsError(
+      `Invalid $ref "${ref}": batch item ${index} does not run before item ${batchIndex}`,
+      { ref }
+    );
+  }
+
+  const response = responses[index];
+  if (response === null) {
+    throw new InvalidParamsError(
+      `Invalid $ref "${ref}": batch item ${index} is a notification and has no result`,
+      { ref }
+    );
+  }
+  if (response.error) {
+    throw new DependencyFailedError(
+      `Dependency failed: batch item ${index} returned an error`,
+      { ref, dependsOn: index }
+    );
+  }
+
+  return path.reduce((value, key) => {
+    if (value === null || typeof value !== 'object' || !hasOwn(value, key)) {
+      throw new InvalidParamsError(
+        `Invalid $ref "${ref}": batch item ${index} result has no value at this path`,
+        { ref }
+      );
+    }
+    return value[key];
+  }, response.result);
+}
+
+/**
+ * Replace every `$ref` placeholder in a request's params with the referenced
+ * value from an earlier item's response (as sent on the wire, so it is
+ * deserialized like any other param).
+ * @param {any} request Batch item
+ * @param {number} batchIndex Position of the item
+ * @param {Array<Object|null>} responses Responses of the items before it (null for notifications)
+ * @returns {any} The request with resolved params
+ * @throws {InvalidParamsError|DependencyFailedError}
+ */
+function resolveReferences(request, batchIndex, responses) {
+  if (!isPlainObject(request) || !hasOwn(request, 'params')) {
+    return request;
+  }
+
+  const resolve = (value) => {
+    if (isReference(value)) {
+      return lookup(value[REF_KEY], batchIndex, responses);
+    }
+    if (Array.isArray(value)) {
+      return value.map(resolve);
+    }
+    if (isPlainObject(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, val]) => [key, resolve(val)])
+      );
+    }
+    return value;
+  };
+
+  return { ...request, params: resolve(request.params) };
+}
+
+module.exports = {
+  resolveReferences,
+};
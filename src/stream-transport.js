@@ -0,0 +1,302 @@
+/**
+ * @file StreamTransport Class
+ * @description Serves JSON-RPC 2.0 over byte streams (TCP, Unix sockets, stdio) with message framing
+ */
+const net = require('net');
+const { randomUUID } = require('crypto');
+const { FrameDecoder, encodeFrame, framings } = require('./framing');
+
+/** Default largest accepted message, in bytes */
+const DEFAULT_MAX_MESSAGE_SIZE = 1024 * 1024;
+
+/**
+ * Whether a value is a readable stream
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isReadable(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.on === 'function' &&
+    typeof value.read === 'function'
+  );
+}
+
+/**
+ * JSON-RPC over framed byte streams. Serves a duplex stream, a
+ * `{ readable, writable }` pair (e.g. stdio), or every connection of a TCP or
+ * Unix socket server, using the endpoint's methods, middleware, validation and
+ * batch handling. Requests on one connection run concurrently and their
+ * responses are written as they complete.
+ */
+class StreamTransport {
+  /** @type {Object} */
+  #endpoint;
+
+  /** @type {'ndjson'|'content-length'} */
+  #framing;
+
+  /** @type {number} */
+  #maxMessageSize;
+
+  /** @type {boolean} */
+  #safeEnabled;
+
+  /** @type {import('net').Server|null} */
+  #server = null;
+
+  /** @type {Set<Object>} */
+  #connections = new Set();
+
+  /**
+   * @param {Object} endpoint The owning RpcEndpoint
+   * @param {Object} [options={}]
+   * @param {'ndjson'|'content-length'} [options.framing='ndjson']
+   * @param {number} [options.maxMessageSize=1048576] Largest accepted message, in bytes
+   * @param {boolean} [options.safeEnabled] Clients use safe serialization
+   *   (defaults to the endpoint's)
+   */
+  constructor(
+    endpoint,
+    {
+      framing = 'ndjson',
+      maxMessageSize = DEFAULT_MAX_MESSAGE_SIZE,
+      safeEnabled = endpoint.options.safeEnabled,
+    } = {}
+  ) {
+    if (!framings.includes(framing)) {
+      throw new Error(
+        `Invalid framing option "${framing}": expected one of ${framings.join(', ')}`
+      );
+    }
+
+    this.#endpoint = endpoint;
+    this.#framing = framing;
+    this.#maxMessageSize = maxMessageSize;
+    this.#safeEnabled = !!safeEnabled;
+  }
+
+  /** @returns {'ndjson'|'content-length'} */
+  get framing() {
+    return this.#framing;
+  }
+
+  /** @returns {import('net').Server|null} The socket server, when listening on a path or port */
+  get server() {
+    return this.#server;
+  }
+
+  /** @returns {number} Open connections */
+  get connections() {
+    return this.#connections.size;
+  }
+
+  /**
+   * Start serving a stream, or listen on a Unix socket path or TCP port
+   * @param {import('stream').Duplex|{ readable: import('stream').Readable, writable: import('stream').Writable }|{ path: string }|{ port: number, host?: string }} target
+   * @returns {Promise<StreamTransport>}
+   */
+  async listen(target) {
+    if (isReadable(target)) {
+      this.#serve(target, target, { transport: 'stream' });
+      return this;
+    }
+
+    if (isReadable(target?.readable)) {
+      this.#serve(target.readable, target.writable, { transport: 'stdio' });
+      return this;
+    }
+
+    if (target?.path === undefined && target?.port === undefined) {
+      throw new Error(
+        'listenStream expects a stream, { readable, writable }, { path } or { port }'
+      );
+    }
+
+    const transport = target.path !== undefined ? 'unix' : 'tcp';
+    this.#server = net.createServer((socket) => {
+      this.#serve(socket, socket, {
+        transport,
+        remoteAddress: socket.remoteAddress,
+        owned: true,
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.#server.once('error', reject);
+      this.#server.listen(
+        target.path !== undefined
+          ? { path: target.path }
+          : { port: target.port, host: target.host },
+        () => {
+          this.#server.off('error', reject);
+          resolve();
+        }
+      );
+    });
+
+    this.#endpoint.logger.info('Stream transport listening', {
+      framing: this.#framing,
+      address: this.#server.address(),
+    });
+    return this;
+  }
+
+  /**
+   * Stop listening and close open connections. Streams passed in by the
+   * caller (such as stdio) are detached but not destroyed.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.#connections.forEach((connection) => connection.close());
+    if (this.#server) {
+      await new Promise((resolve) => {
+        this.#server.close(() => resolve());
+      });
+    }
+  }
+
+  /**
+   * Serve one connection
+   * @param {import('stream').Readable} readable
+   * @param {import('stream').Writable} writable
+   * @param {Object} info
+   * @param {string} info.transport
+   * @param {string} [info.remoteAddress]
+   * @param {boolean} [info.owned=false] End the socket on close
+   */
+  #serve(readable, writable, { transport, remoteAddress, owned = false }) {
+    const decoder = new FrameDecoder(this.#framing, this.#maxMessageSize);
+    const controller = new AbortController();
+    const connection = {
+      id: randomUUID(),
+      transport,
+      principal: null,
+      safeEnabled: this.#safeEnabled,
+    };
+
+    const tracked = { connection };
+
+    const onData = (chunk) => {
+      let messages;
+      try {
+        messages = decoder.push(chunk);
+      } catch (error) {
+        this.#endpoint.logger.warn('Stream framing error', {
+          connectionId: connection.id,
+          error: error.message,
+        });
+        this.#write(writable, {
+          jsonrpc: '2.0',
+          id: null,
+          error: { code: -32700, message: 'Parse error' },
+        });
+        tracked.close();
+        return;
+      }
+
+      messages.forEach((message) => {
+        this.#handleMessage(writable, connection, message, {
+          ip: remoteAddress,
+          signal: controller.signal,
+        });
+      });
+    };
+
+    const close = () => {
+      if (!this.#connections.has(tracked)) {
+        return;
+      }
+      this.#connections.delete(tracked);
+      readable.off('data', onData);
+
+      const error = new Error('Connection closed');
+      error.name = 'AbortError';
+      controller.abort(error);
+
+      // Ending (not destroying) flushes a pending framing error response
+      if (owned) {
+        writable.end();
+      }
+      this.#endpoint.logger.info('Stream connection closed', {
+        connectionId: connection.id,
+      });
+    };
+
+    tracked.close = close;
+    this.#connections.add(tracked);
+    readable.on('data', onData);
+    readable.once('close', close);
+    if (owned) {
+      readable.on('error', (error) => {
+        this.#endpoint.logger.warn('Stream connection error', {
+          connectionId: connection.id,
+          error: error.message,
+        });
+      });
+    }
+
+    this.#endpoint.logger.info('Stream connection opened', {
+      connectionId: connection.id,
+      transport,
+      framing: this.#framing,
+    });
+  }
+
+  /**
+   * Process one message and write its response, if any
+   * @param {import('stream').Writable} writable
+   * @param {Object} connection
+   * @param {string} message
+   * @param {Object} meta
+   * @param {string} [meta.ip]
+   * @param {AbortSignal} meta.signal
+   */
+  async #handleMessage(writable, connection, message, { ip, signal }) {
+    let body;
+    try {
+      body = JSON.parse(message);
+    } catch (error) {
+      this.#write(writable, {
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32700, message: 'Parse error' },
+      });
+      return;
+    }
+
+    let response;
+    try {
+      response = await this.#endpoint.handle(body, { ip, signal, connection });
+    } catch (error) {
+      this.#endpoint.logger.error('Stream message error', {
+        connectionId: connection.id,
+        error: error.message,
+      });
+      response = {
+        jsonrpc: '2.0',
+        id: null,
+        error: this.#endpoint.formatError(error),
+      };
+    }
+
+    // Notifications and all-notification batches get no reply
+    if (response !== null) {
+      this.#write(writable, response);
+    }
+  }
+
+  /**
+   * Write a framed JSON payload if the stream is still writable
+   * @param {import('stream').Writable} writable
+   * @param {any} payload
+   */
+  #write(writable, payload) {
+    if (writable.writable && !writable.destroyed) {
+      writable.write(encodeFrame(this.#framing, JSON.stringify(payload)));
+    }
+  }
+}
+
+module.exports = StreamTransport;
@@ -0,0 +1,333 @@
+/**
+ * @file Streaming helpers
+ * @description Stream async-iterable handler results as NDJSON or Server-Sent Events
+ */
+
+/**
+ * Content types a client can accept to receive a streamed result
+ * @type {{ ndjson: string, sse: string }}
+ */
+const STREAM_CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson',
+  sse: 'text/event-stream',
+};
+
+/**
+ * Whether a handler result should be streamed (or buffered) chunk by chunk
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isAsyncIterable(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value[Symbol.asyncIterator] === 'function'
+  );
+}
+
+/**
+ * Pick a stream format from the request `Accept` header. Plain JSON wins
+ * when the client prefers it (or sends `*` / no header).
+ * @param {Request} req
+ * @returns {'ndjson'|'sse'|null}
+ */
+function negotiateStreamFormat(req) {
+  if (!req || typeof req.accepts !== 'function' || !req.headers?.accept) {
+    return null;
+  }
+
+  const accepted = req.accepts([
+    'application/json',
+    STREAM_CONTENT_TYPES.ndjson,
+    STREAM_CONTENT_TYPES.sse,
+  ]);
+  if (accepted === STREAM_CONTENT_TYPES.ndjson) return 'ndjson';
+  if (accepted === STREAM_CONTENT_TYPES.sse) return 'sse';
+  return null;
+}
+
+/**
+ * Call `fn` with each item of an async iterable, waiting for it before
+ * pulling the next item. Returning `false` stops early; stopping early or
+ * throwing closes the iterator.
+ * @param {AsyncIterable<any>} iterable
+ * @param {(item: any) => any} fn May return a promise
+ * @returns {Promise<void>}
+ */
+function forEachAsync(iterable, fn) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const close = () => Promise.resolve().then(() => iterator.return?.());
+
+  return new Promise((resolve, reject) => {
+    const step = () => {
+      Promise.resolve()
+        .then(() => iterator.next())
+        .then(({ done, value }) => {
+          if (done) {
+            resolve();
+            return;
+          }
+          Promise.resolve()
+            .then(() => fn(value))
+            .then(
+              (more) =>
+                more === false ? close().then(resolve, reject) : step(),
+              (error) =>
+                close().then(
+                  () => reject(error),
+                  () => reject(error)
+                )
+            );
+        }, reject);
+    };
+    step();
+  });
+}
+
+/**
+ * Map each item of an async iterable. If `fn` throws, the source is closed
+ * and the error is thrown from `next()`.
+ * @param {AsyncIterable<any>} iterable
+ * @param {(item: any) => any} fn
+ * @returns {AsyncIterableIterator<any>}
+ */
+function mapAsync(iterable, fn) {
+  const iterator = iterable[Symbol.asyncIterator]();
+
+  return {
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+    next: () =>
+      iterator.next().then(({ done, value }) => {
+        if (done) {
+          return { done, value };
+        }
+        try {
+          return { done: false, value: fn(value) };
+        } catch (error) {
+          const rethrow = () => {
+            throw error;
+          };
+          return Promise.resolve(iterator.return?.()).then(rethrow, rethrow);
+        }
+      }),
+    return: (value) =>
+      Promise.resolve(iterator.return?.()).then(() => ({ done: true, value })),
+  };
+}
+
+/**
+ * Async iterable fed from the outside: pushed values are queued until
+ * pulled, and iteration finishes after end() (or throws after fail()) once
+ * the queue is drained. Returning early drops queued and later values.
+ * @returns {AsyncIterableIterator<any> & { push: (value: any) => void, end: () => void, fail: (error: any) => void }}
+ */
+function createQueue() {
+  let values = [];
+  const pulls = [];
+  let ended = false;
+  let failure = null;
+
+  const settlePulls = (settle) => pulls.splice(0).forEach(settle);
+  const end = () => {
+    ended = true;
+    settlePulls(({ resolve }) => resolve({ done: true, value: undefined }));
+  };
+
+  return {
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+    push(value) {
+      if (ended) {
+        return;
+      }
+      const pull = pulls.shift();
+      if (pull) {
+        pull.resolve({ done: false, value });
+      } else {
+        values.push(value);
+      }
+    },
+    end,
+    fail(error) {
+      if (ended) {
+        return;
+      }
+      ended = true;
+      failure = { error };
+      settlePulls(({ reject }) => reject(error));
+    },
+    next() {
+      if (values.length > 0) {
+        return Promise.resolve({ done: false, value: values.shift() });
+      }
+      if (failure) {
+        const { error } = failure;
+        failure = null;
+        return Promise.reject(error);
+      }
+      if (ended) {
+        return Promise.resolve({ done: true, value: undefined });
+      }
+      return new Promise((resolve, reject) => {
+        pulls.push({ resolve, reject });
+      });
+    },
+    return(value) {
+      values = [];
+      failure = null;
+      end();
+      return Promise.resolve({ done: true, value });
+    },
+  };
+}
+
+/**
+ * Collect an async-iterable result into an array; other values are returned
+ * unchanged. Used where a result cannot be streamed (batches, plain JSON).
+ * @param {any} value
+ * @returns {Promise<any>}
+ */
+async function bufferResult(value) {
+  if (!isAsyncIterable(value)) {
+    return value;
+  }
+
+  const items = [];
+  await forEachAsync(value, (item) => {
+    items.push(item);
+  });
+  return items;
+}
+
+/**
+ * Turn an async-iterable handler result into JSON-RPC frames: one
+ * `{ jsonrpc, id, chunk }` frame per item, then a final response whose result
+ * is `{ done: true, count }`, or a terminal error response if iteration (or
+ * `onEnd`) throws. Stopping early (e.g. on client disconnect) closes `iterable`.
+ * @param {AsyncIterable<any>} iterable
+ * @param {Object} options
+ * @param {string|number|null} options.id Request id
+ * @param {(chunk: any) => any} options.serialize Chunk serializer
+ * @param {(result: Object) => Promise<void>} options.onEnd Runs before the final frame
+ * @param {(error: any) => Promise<Object>} options.onError Formats the terminal error
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamFrames(iterable, { id, serialize, onEnd, onError }) {
+  let count = 0;
+  try {
+    yield* mapAsync(iterable, (chunk) => {
+      const frame = { jsonrpc: '2.0', id, chunk: serialize(chunk) };
+      count += 1;
+      return frame;
+    });
+
+    const result = { done: true, count };
+    await onEnd(result);
+    yield { jsonrpc: '2.0', id, result };
+  } catch (error) {
+    yield { jsonrpc: '2.0', id, error: await onError(error) };
+  }
+}
+
+/**
+ * SSE event name of a frame
+ * @param {Object} frame
+ * @returns {'chunk'|'result'|'error'}
+ */
+function frameEvent(frame) {
+  if ('chunk' in frame) return 'chunk';
+  return 'error' in frame ? 'error' : 'result';
+}
+
+/**
+ * Writes JSON-RPC frames to a chunked HTTP response. NDJSON sends one frame
+ * per line; SSE sends each frame as `data:` with a `chunk`, `result` or
+ * `error` event name.
+ */
+class StreamWriter {
+  /** @type {Response} */
+  #res;
+
+  /** @type {'ndjson'|'sse'} */
+  #format;
+
+  /**
+   * @param {Response} res
+   * @param {'ndjson'|'sse'} format
+   */
+  constructor(res, format) {
+    this.#res = res;
+    this.#format = format;
+  }
+
+  /** @returns {boolean} Whether the client is gone */
+  get closed() {
+    return this.#res.destroyed || this.#res.writableEnded;
+  }
+
+  /**
+   * Send the response headers
+   * @param {Object} [headers={}] Extra headers
+   */
+  open(headers = {}) {
+    this.#res.status(200);
+    this.#res.set({
+      ...headers,
+      'Content-Type': `${STREAM_CONTENT_TYPES[this.#format]}; charset=utf-8`,
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no',
+    });
+    this.#res.flushHeaders();
+  }
+
+  /**
+   * Write one frame, waiting for the socket to drain when its buffer is full
+   * @param {Object} frame
+   * @returns {Promise<void>}
+   */
+  write(frame) {
+    if (this.closed) {
+      return Promise.resolve();
+    }
+
+    const json = JSON.stringify(frame);
+    const data =
+      this.#format === 'sse'
+        ? `event: ${frameEvent(frame)}\ndata: ${json}\n\n`
+        : `${json}\n`;
+    if (this.#res.write(data)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const done = () => {
+        this.#res.off('drain', done);
+        this.#res.off('close', done);
+        resolve();
+      };
+      this.#res.once('drain', done);
+      this.#res.once('close', done);
+    });
+  }
+
+  /** End the response */
+  end() {
+    if (!this.closed) {
+      this.#res.end();
+    }
+  }
+}
+
+module.exports = {
+  STREAM_CONTENT_TYPES,
+  StreamWriter,
+  bufferResult,
+  createQueue,
+  forEachAsync,
+  isAsyncIterable,
+  negotiateStreamFormat,
+  streamFrames,
+};
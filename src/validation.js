@@ -1,12 +1,14 @@
 /* eslint max-classes-per-file: off */
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
+const { InvalidParamsError } = require('./errors');
 
 /**
  * JSON-RPC 2.0 Schema Validation Error
  */
 class SchemaValidator {
   constructor(options = {}) {
+    this.options = options;
     this.ajv = new Ajv({
       allErrors: true,
       removeAdditional: options.removeAdditional || false,
@@ -16,6 +18,13 @@ class SchemaValidator {
       ...options.ajvOptions,
     });
 
+    // Created on first use by validateResult()
+    this.resultAjv = null;
+    this.stripAjv = null;
+
+    // Created on first use by coerce()
+    this.coerceAjv = null;
+
     addFormats(this.ajv);
 
     // Add custom formats
@@ -24,16 +33,17 @@ class SchemaValidator {
 
   /**
    * Add custom format validators
+   * @param {Ajv} [ajv] Ajv instance (defaults to the params validator)
    */
-  addCustomFormats() {
+  addCustomFormats(ajv = this.ajv) {
     // BigInt format
-    this.ajv.addFormat('bigint', {
+    ajv.addFormat('bigint', {
       type: 'string',
       validate: (data) => /^-?\d+n?$/.test(data),
     });
 
     // ObjectId format (MongoDB style)
-    this.ajv.addFormat('objectid', {
+    ajv.addFormat('objectid', {
       type: 'string',
       validate: (data) => /^[0-9a-fA-F]{24}$/.test(data),
     });
@@ -56,6 +66,80 @@ class SchemaValidator {
     };
   }
 
+  /**
+   * Validate a handler result against a schema. Results are validated with
+   * their own Ajv instance, so the params options (`useDefaults`,
+   * `removeAdditional`, `coerceTypes`) never apply and the handler's object
+   * is left untouched. With `removeAdditional`, properties not declared in the
+   * schema are stripped from a clone of the result.
+   * @param {any} result
+   * @param {Object} schema
+   * @param {Object} [options]
+   * @param {boolean} [options.removeAdditional=false]
+   * @returns {Object} validation result
+   */
+  validateResult(result, schema, { removeAdditional = false } = {}) {
+    if (!this.resultAjv) {
+      this.resultAjv = this.#createAuxiliaryAjv({ removeAdditional: false });
+    }
+    if (removeAdditional && !this.stripAjv) {
+      this.stripAjv = this.#createAuxiliaryAjv({ removeAdditional: 'all' });
+    }
+
+    const data =
+      removeAdditional && result !== null && typeof result === 'object'
+        ? structuredClone(result)
+        : result;
+    const ajv = removeAdditional ? this.stripAjv : this.resultAjv;
+    const validator = ajv.compile(schema);
+    const valid = validator(data);
+
+    return {
+      valid,
+      errors: valid ? null : validator.errors,
+      data,
+    };
+  }
+
+  /**
+   * Coerce loosely-typed input (e.g. query-string values) to the types a
+   * schema declares. Returns a coerced copy without validating it; invalid
+   * values are left for `validate()` to report.
+   * @param {any} data
+   * @param {Object} schema
+   * @returns {any}
+   */
+  coerce(data, schema) {
+    if (!this.coerceAjv) {
+      this.coerceAjv = this.#createAuxiliaryAjv({ coerceTypes: 'array' });
+    }
+
+    const copy =
+      data !== null && typeof data === 'object' ? structuredClone(data) : data;
+    this.coerceAjv.compile(schema)(copy);
+    return copy;
+  }
+
+  /**
+   * Create an Ajv instance sharing the validator's formats and options, but
+   * neither applying defaults nor coercing types unless overridden
+   * @param {Object} overrides Ajv options specific to the instance
+   * @returns {Ajv}
+   */
+  #createAuxiliaryAjv(overrides) {
+    const ajv = new Ajv({
+      allErrors: true,
+      strict: false,
+      ...this.options.ajvOptions,
+      useDefaults: false,
+      coerceTypes: false,
+      ...overrides,
+    });
+    addFormats(ajv);
+    this.addCustomFormats(ajv);
+    return ajv;
+  }
+
   /**
    * Create a validation middleware
    * @param {Object} schema
@@ -67,16 +151,13 @@ class SchemaValidator {
       const result = this.validate(params, schema);
 
       if (!result.valid) {
-        const error = new Error('Validation failed');
-        error.code = -32602; // Invalid params
-        error.data = {
+        throw new InvalidParamsError('Validation failed', {
           validationErrors: result.errors.map((err) => ({
             field: err.instancePath || err.schemaPath,
             message: err.message,
             value: err.data,
           })),
-        };
-        throw error;
+        });
       }
 
       // Update params with validated/coerced data
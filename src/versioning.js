@@ -0,0 +1,83 @@
+/**
+ * @file Method versioning helpers
+ * @description Parse `name@version` method names and the version request header
+ */
+
+/**
+ * Request header selecting a method version when the method name has no
+ * `@version` suffix (Express lower-cases header names).
+ * @type {string}
+ */
+const METHOD_VERSION_HEADER = 'x-rpc-method-version';
+
+/** @type {RegExp} */
+const VERSION_SUFFIX = /^(.+)@([^@]*)$/;
+
+/**
+ * Whether a value is a usable method version (a positive integer)
+ * @param {any} version
+ * @returns {boolean}
+ */
+function isValidVersion(version) {
+  return Number.isInteger(version) && version > 0;
+}
+
+/**
+ * Convert a version string from a method suffix or header to a number.
+ * Malformed values are returned unchanged so they can be reported.
+ * @param {string} raw
+ * @returns {number|string}
+ */
+function parseVersion(raw) {
+  return /^\d+$/.test(raw) ? Number(raw) : raw;
+}
+
+/**
+ * Split a requested method into its base name and requested version. A
+ * `name@N` suffix wins over the version header; with neither, `version` is
+ * null and the latest version should be used. `fromHeader` tells a header
+ * version, which applies to every call of the request, from a suffix.
+ * @param {string} requested Method name from the request
+ * @param {Object} [headers={}] Request headers
+ * @returns {{ name: string, version: number|string|null, fromHeader: boolean }}
+ */
+function parseVersionedMethod(requested, headers = {}) {
+  const match = VERSION_SUFFIX.exec(requested);
+  if (match) {
+    return {
+      name: match[1],
+      version: parseVersion(match[2]),
+      fromHeader: false,
+    };
+  }
+
+  const header = headers?.[METHOD_VERSION_HEADER];
+  if (typeof header === 'string' && header.trim() !== '') {
+    return {
+      name: requested,
+      version: parseVersion(header.trim()),
+      fromHeader: true,
+    };
+  }
+
+  return { name: requested, version: null, fromHeader: false };
+}
+
+/**
+ * Build the -32601 message for a method (or method version) that does not exist
+ * @param {string} requested Method name from the request
+ * @param {{ name: string, version: any }|null} resolved Result of `resolveMethod`
+ * @returns {string}
+ */
+function methodNotFoundMessage(requested, resolved) {
+  return resolved
+    ? `Method "${resolved.name}" version ${resolved.version} not found`
+    : `Method "${requested}" not found`;
+}
+
+module.exports = {
+  METHOD_VERSION_HEADER,
+  isValidVersion,
+  methodNotFoundMessage,
+  parseVersionedMethod,
+};
@@ -0,0 +1,287 @@
+/**
+ * @file WebSocketTransport Class
+ * @description Serves JSON-RPC 2.0 frames over WebSocket connections using the endpoint's methods
+ */
+const { randomUUID } = require('crypto');
+const { createDisconnectSignal } = require('./cancellation');
+
+/**
+ * Load the optional `ws` peer dependency
+ * @returns {Function} The WebSocketServer class
+ */
+function loadWebSocketServer() {
+  try {
+    return module.require('ws').WebSocketServer;
+  } catch (error) {
+    throw new Error(
+      'attachWebSocket requires the "ws" package. Install it with: npm install ws',
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Reject a WebSocket upgrade with a plain HTTP response
+ * @param {import('net').Socket} socket
+ * @param {number} status
+ * @param {string} reason
+ */
+function rejectUpgrade(socket, status, reason) {
+  if (socket.writable) {
+    socket.write(
+      `HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`
+    );
+  }
+  socket.destroy();
+}
+
+/**
+ * JSON-RPC over WebSocket. Each text frame carries one request or a batch;
+ * calls go through the same method registry, middleware, validation and
+ * serialization as the HTTP POST route. Connection-level auth runs once on
+ * upgrade and its principal is shared by every call on the socket.
+ */
+class WebSocketTransport {
+  /** @type {Object} */
+  #endpoint;
+
+  /** @type {string} */
+  #path;
+
+  /** @type {Function|null} */
+  #auth;
+
+  /** @type {boolean} */
+  #safeEnabled;
+
+  /** @type {Object} */
+  #wss;
+
+  /** @type {import('http').Server|null} */
+  #server = null;
+
+  /** @type {Function} */
+  #onUpgrade;
+
+  /**
+   * @param {Object} endpoint The owning RpcEndpoint
+   * @param {Object} options
+   * @param {string} options.path URL path accepting upgrades
+   * @param {Function} [options.auth] Connection auth, `(req) => boolean | principal`
+   * @param {number} [options.maxPayload] Maximum frame size in bytes
+   * @param {boolean} options.safeEnabled Clients use safe serialization
+   */
+  constructor(endpoint, { path, auth, maxPayload, safeEnabled }) {
+    const WebSocketServer = loadWebSocketServer();
+
+    this.#endpoint = endpoint;
+    this.#path = path;
+    this.#auth = typeof auth === 'function' ? auth : null;
+    this.#safeEnabled = !!safeEnabled;
+    this.#wss = new WebSocketServer({
+      noServer: true,
+      ...(maxPayload && { maxPayload }),
+    });
+    this.#onUpgrade = (req, socket, head) => {
+      this.#handleUpgrade(req, socket, head);
+    };
+  }
+
+  /** @returns {string} The URL path accepting upgrades */
+  get path() {
+    return this.#path;
+  }
+
+  /** @returns {Set<Object>} Open WebSocket connections */
+  get clients() {
+    return this.#wss.clients;
+  }
+
+  /**
+   * Start accepting upgrades on an HTTP server. Upgrades for other paths are
+   * left to other listeners.
+   * @param {import('http').Server} server
+   * @returns {WebSocketTransport}
+   */
+  attach(server) {
+    this.#server = server;
+    server.on('upgrade', this.#onUpgrade);
+    return this;
+  }
+
+  /**
+   * Stop accepting upgrades and close open connections
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (this.#server) {
+      this.#server.off('upgrade', this.#onUpgrade);
+      this.#server = null;
+    }
+
+    this.#wss.clients.forEach((ws) => ws.close(1001, 'Server shutting down'));
+    return new Promise((resolve) => {
+      this.#wss.close(() => resolve());
+    });
+  }
+
+  /**
+   * Authenticate and complete an upgrade request
+   * @param {import('http').IncomingMessage} req
+   * @param {import('net').Socket} socket
+   * @param {Buffer} head
+   */
+  async #handleUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== this.#path) {
+      return;
+    }
+
+    let connection;
+    try {
+      connection = await this.#authenticate(req);
+    } catch (error) {
+      this.#endpoint.logger.error('WebSocket auth failed', {
+        error: error.message,
+      });
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+      return;
+    }
+
+    if (!connection) {
+      this.#endpoint.logger.warn('WebSocket upgrade rejected', {
+        ip: req.socket?.remoteAddress,
+      });
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    this.#wss.handleUpgrade(req, socket, head, (ws) => {
+      this.#handleConnection(ws, req, connection);
+    });
+  }
+
+  /**
+   * Run connection-level auth
+   * @param {import('http').IncomingMessage} req
+   * @returns {Promise<Object|null>} Connection info, or null when rejected
+   */
+  async #authenticate(req) {
+    const connection = {
+      id: randomUUID(),
+      transport: 'websocket',
+      principal: undefined,
+      authenticatedBy: null,
+      // Browsers cannot set headers on the upgrade request
+      safeEnabled: this.#safeEnabled,
+    };
+
+    if (!this.#auth) {
+      return connection;
+    }
+
+    const result = await this.#auth(req);
+    if (!result) {
+      return null;
+    }
+
+    connection.authenticatedBy = this.#auth;
+    if (typeof result === 'object') {
+      connection.principal = result;
+    }
+    return connection;
+  }
+
+  /**
+   * Wire up an accepted socket
+   * @param {Object} ws
+   * @param {import('http').IncomingMessage} req Upgrade request, shared by every call
+   * @param {Object} connection
+   */
+  #handleConnection(ws, req, connection) {
+    const { logger } = this.#endpoint;
+    const signal = createDisconnectSignal(ws);
+
+    logger.info('WebSocket connection opened', {
+      connectionId: connection.id,
+      ip: req.socket?.remoteAddress,
+    });
+
+    ws.on('message', (data) => {
+      this.#handleMessage(ws, req, connection, data, signal);
+    });
+    ws.on('error', (error) => {
+      logger.error('WebSocket error', {
+        connectionId: connection.id,
+        error: error.message,
+      });
+    });
+    ws.once('close', (code) => {
+      logger.info('WebSocket connection closed', {
+        connectionId: connection.id,
+        code,
+      });
+    });
+  }
+
+  /**
+   * Process one frame and send its response, if any
+   * @param {Object} ws
+   * @param {import('http').IncomingMessage} req
+   * @param {Object} connection
+   * @param {Buffer|string} data
+   * @param {AbortSignal} signal
+   */
+  async #handleMessage(ws, req, connection, data, signal) {
+    let body;
+    try {
+      body = JSON.parse(data.toString());
+    } catch (error) {
+      this.#send(ws, {
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32700, message: 'Parse error' },
+      });
+      return;
+    }
+
+    let response;
+    try {
+      response = await this.#endpoint.handle(body, {
+        req,
+        signal,
+        connection,
+      });
+    } catch (error) {
+      this.#endpoint.logger.error('WebSocket message error', {
+        connectionId: connection.id,
+        error: error.message,
+      });
+      response = {
+        jsonrpc: '2.0',
+        id: null,
+        error: this.#endpoint.formatError(error, { req }),
+      };
+    }
+
+    // Notifications and all-notification batches get no reply
+    if (response === null) {
+      return;
+    }
+
+    this.#send(ws, response);
+  }
+
+  /**
+   * Send a JSON payload if the socket is still open
+   * @param {Object} ws
+   * @param {any} payload
+   */
+  #send(ws, payload) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+}
+
+module.exports = WebSocketTransport;
@@ -0,0 +1,111 @@
+/**
+ * @file Worker boundary encoding
+ * @description Prepares values for postMessage between WorkerPool and its threads
+ */
+
+/**
+ * Structured clone already carries BigInt, Date, Map, Set and typed arrays,
+ * but a Buffer arrives as a plain Uint8Array. Buffers are wrapped in an
+ * object under this key on the way out and rebuilt on the way in.
+ */
+const BUFFER_KEY = '$rpc:Buffer';
+
+/**
+ * Whether a value is a plain object (not an array, Date, Map, ...). Posted
+ * messages are deserialized in the main context, which can differ from the
+ * caller's (e.g. a vm context), so prototypes are not compared by identity.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (Object.prototype.toString.call(value) !== '[object Object]') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || Object.getPrototypeOf(proto) === null;
+}
+
+/**
+ * Copy arrays and plain objects into the current context, replacing values
+ * with `replace()`; shared and circular references are preserved
+ * @param {any} value
+ * @param {(value: any) => any} replace Returns a replacement, or undefined to keep walking
+ * @param {WeakMap<Object, any>} copies
+ * @returns {any}
+ */
+function walk(value, replace, copies) {
+  const replaced = replace(value);
+  if (replaced !== undefined) {
+    return replaced;
+  }
+  if (!Array.isArray(value) && !isPlainObject(value)) {
+    return value;
+  }
+  if (copies.has(value)) {
+    return copies.get(value);
+  }
+
+  const copy = Array.isArray(value) ? [] : {};
+  copies.set(value, copy);
+  Object.keys(value).forEach((key) => {
+    // defineProperty keeps an own `__proto__` key as data
+    Object.defineProperty(copy, key, {
+      value: walk(value[key], replace, copies),
+      enumerable: true,
+      configurable: true,
+      writable: true,
+    });
+  });
+  return copy;
+}
+
+/**
+ * Encode a value to post to or from a worker
+ * @param {any} value
+ * @returns {any}
+ */
+function encodeForWorker(value) {
+  return walk(
+    value,
+    (item) =>
+      Buffer.isBuffer(item)
+        ? { [BUFFER_KEY]: new Uint8Array(item) }
+        : undefined,
+    new WeakMap()
+  );
+}
+
+/**
+ * Decode a value posted by encodeForWorker()
+ * @param {any} value
+ * @returns {any}
+ */
+function decodeFromWorker(value) {
+  return walk(
+    value,
+    (item) => {
+      // Dates from another context fail `instanceof Date` checks
+      if (
+        Object.prototype.toString.call(item) === '[object Date]' &&
+        !(item instanceof Date)
+      ) {
+        return new Date(item.getTime());
+      }
+      if (
+        isPlainObject(item) &&
+        ArrayBuffer.isView(item[BUFFER_KEY]) &&
+        Object.keys(item).length === 1
+      ) {
+        const bytes = item[BUFFER_KEY];
+        return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      }
+      return undefined;
+    },
+    new WeakMap()
+  );
+}
+
+module.exports = {
+  decodeFromWorker,
+  encodeForWorker,
+};
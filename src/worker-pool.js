@@ -0,0 +1,355 @@
+/**
+ * @file WorkerPool Class
+ * @description worker_threads pool running offloaded method handlers off the event loop
+ */
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { RpcMethodError } = require('./errors');
+const { decodeFromWorker, encodeForWorker } = require('./worker-boundary');
+
+const RUNNER_PATH = path.join(__dirname, 'worker-runner.js');
+
+/** Default time a cancelled handler gets to stop before its worker is terminated */
+const DEFAULT_CANCEL_GRACE = 1000;
+
+/**
+ * One worker per core, leaving one for the event loop
+ * @returns {number}
+ */
+function defaultMaxWorkers() {
+  const cores = os.availableParallelism?.() ?? os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+/**
+ * Rebuild an error reported by a worker
+ * @param {Object} reported
+ * @returns {Error}
+ */
+function toError(reported) {
+  const data = decodeFromWorker(reported.data);
+  const error = reported.rpc
+    ? new RpcMethodError(reported.message, reported.code, data)
+    : Object.assign(new Error(reported.message), {
+        code: reported.code,
+        ...(data !== undefined && { data }),
+      });
+  error.name = reported.name || error.name;
+  if (reported.stack) {
+    error.stack = reported.stack;
+  }
+  return error;
+}
+
+/**
+ * A named pool of worker threads that run offloaded method handlers. Workers
+ * start on demand up to `maxWorkers` and each runs one call at a time; further
+ * calls wait in a queue. Idle workers do not keep the process alive.
+ *
+ * Cancellation (timeout or client disconnect) removes queued calls and aborts
+ * the `signal` of a running handler; a handler that has not returned within
+ * `cancelGrace` (e.g. a synchronous loop) has its worker terminated.
+ */
+class WorkerPool {
+  /** @type {string} */
+  #name;
+
+  /** @type {number} */
+  #maxWorkers;
+
+  /** @type {number} */
+  #cancelGrace;
+
+  /** @type {Object} */
+  #logger;
+
+  /** @type {Set<Worker>} */
+  #workers = new Set();
+
+  /** @type {Worker[]} */
+  #idle = [];
+
+  /** @type {Map<Worker, Object>} Job each busy worker is running */
+  #running = new Map();
+
+  /** @type {Object[]} */
+  #queue = [];
+
+  /** @type {WeakSet<Object>} Jobs already resolved or rejected */
+  #settled = new WeakSet();
+
+  /** @type {Map<Worker, NodeJS.Timeout>} Workers to terminate unless a cancelled handler returns */
+  #killTimers = new Map();
+
+  /** @type {number} */
+  #nextJobId = 0;
+
+  /**
+   * @param {string} name
+   * @param {Object} options
+   * @param {number} [options.maxWorkers] Defaults to the number of cores minus one
+   * @param {number} [options.cancelGrace=1000] Milliseconds a cancelled handler may keep running
+   * @param {Object} options.logger
+   */
+  constructor(
+    name,
+    {
+      maxWorkers = defaultMaxWorkers(),
+      cancelGrace = DEFAULT_CANCEL_GRACE,
+      logger,
+    }
+  ) {
+    if (!Number.isInteger(maxWorkers) || maxWorkers < 1) {
+      throw new Error(
+        `Invalid maxWorkers option for worker pool "${name}": expected a positive integer`
+      );
+    }
+    if (!Number.isFinite(cancelGrace) || cancelGrace < 0) {
+      throw new Error(
+        `Invalid cancelGrace option for worker pool "${name}": expected a non-negative number`
+      );
+    }
+
+    this.#name = name;
+    this.#maxWorkers = maxWorkers;
+    this.#cancelGrace = cancelGrace;
+    this.#logger = logger;
+  }
+
+  /** @returns {string} */
+  get name() {
+    return this.#name;
+  }
+
+  /** @returns {number} */
+  get maxWorkers() {
+    return this.#maxWorkers;
+  }
+
+  /** @returns {number} */
+  get cancelGrace() {
+    return this.#cancelGrace;
+  }
+
+  /** @returns {number} Live workers */
+  get size() {
+    return this.#workers.size;
+  }
+
+  /** @returns {number} Calls waiting for a free worker */
+  get pending() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Run a handler module in a worker
+   * @param {string} modulePath Absolute path of a module exporting `handler(params, call)`
+   * @param {any} params
+   * @param {Object} call Cloneable call metadata (`id`, `method`, ...)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<any>}
+   */
+  run(modulePath, params, call, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const job = {
+        id: (this.#nextJobId += 1),
+        message: {
+          modulePath,
+          params: encodeForWorker(params),
+          call,
+        },
+        resolve,
+        reject,
+      };
+
+      const onAbort = () => this.#cancel(job, signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      job.detach = () => signal?.removeEventListener('abort', onAbort);
+
+      this.#queue.push(job);
+      this.#drain();
+    });
+  }
+
+  /**
+   * Terminate every worker and reject queued and running calls. The pool
+   * stays usable; later calls start new workers.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const error = new Error(`Worker pool "${this.#name}" closed`);
+    this.#queue.splice(0).forEach((job) => this.#settle(job, error));
+    this.#running.forEach((job) => this.#settle(job, error));
+
+    const workers = [...this.#workers];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  /**
+   * Hand queued jobs to idle workers, starting workers up to the limit
+   */
+  #drain() {
+    while (
+      this.#queue.length > 0 &&
+      (this.#idle.length > 0 || this.#workers.size < this.#maxWorkers)
+    ) {
+      const worker = this.#idle.pop() || this.#spawn();
+      const job = this.#queue.shift();
+
+      this.#running.set(worker, job);
+      worker.ref();
+      try {
+        worker.postMessage({ type: 'run', id: job.id, ...job.message });
+      } catch (error) {
+        // Params that cannot be cloned (e.g. functions)
+        this.#running.delete(worker);
+        this.#release(worker);
+        this.#settle(job, error);
+      }
+    }
+  }
+
+  /**
+   * @returns {Worker}
+   */
+  #spawn() {
+    const worker = new Worker(RUNNER_PATH);
+    this.#workers.add(worker);
+
+    worker.on('message', (message) => {
+      const job = this.#running.get(worker);
+      if (!job || job.id !== message.id) {
+        return;
+      }
+
+      this.#running.delete(worker);
+      this.#clearKillTimer(worker);
+      this.#settle(
+        job,
+        message.type === 'error' ? toError(message.error) : null,
+        message.type === 'result' ? decodeFromWorker(message.result) : undefined
+      );
+      this.#release(worker);
+      this.#drain();
+    });
+
+    // Uncaught exceptions end the worker; 'exit' follows
+    worker.on('error', (error) => {
+      this.#logger.error('Worker error', {
+        pool: this.#name,
+        error: error.message,
+      });
+      const job = this.#running.get(worker);
+      if (job) {
+        this.#settle(job, error);
+      }
+    });
+
+    worker.on('exit', (code) => {
+      this.#workers.delete(worker);
+      this.#idle = this.#idle.filter((idle) => idle !== worker);
+
+      const job = this.#running.get(worker);
+      if (job) {
+        this.#running.delete(worker);
+        this.#clearKillTimer(worker);
+        this.#settle(
+          job,
+          new Error(`Worker exited with code ${code} while running the call`)
+        );
+      }
+      this.#drain();
+    });
+
+    this.#logger.debug('Worker started', {
+      pool: this.#name,
+      workers: this.#workers.size,
+    });
+    return worker;
+  }
+
+  /**
+   * Return a worker to the idle list
+   * @param {Worker} worker
+   */
+  #release(worker) {
+    if (this.#workers.has(worker)) {
+      worker.unref();
+      this.#idle.push(worker);
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {Object} job
+   * @param {any} reason Abort reason, used as the rejection
+   */
+  #cancel(job, reason) {
+    const queued = this.#queue.indexOf(job);
+    if (queued !== -1) {
+      this.#queue.splice(queued, 1);
+      this.#settle(job, reason);
+      return;
+    }
+
+    const entry = [...this.#running].find(([, running]) => running === job);
+    if (!entry) {
+      return;
+    }
+
+    const [worker] = entry;
+    worker.postMessage({
+      type: 'cancel',
+      id: job.id,
+      reason: { name: reason?.name, message: reason?.message },
+    });
+    const timer = setTimeout(() => {
+      this.#logger.warn(
+        'Offloaded handler ignored cancellation, terminating worker',
+        {
+          pool: this.#name,
+          method: job.message.call.method,
+        }
+      );
+      worker.terminate();
+    }, this.#cancelGrace);
+    this.#killTimers.set(worker, timer);
+    this.#settle(job, reason);
+  }
+
+  /**
+   * @param {Worker} worker
+   */
+  #clearKillTimer(worker) {
+    clearTimeout(this.#killTimers.get(worker));
+    this.#killTimers.delete(worker);
+  }
+
+  /**
+   * Resolve or reject a job once
+   * @param {Object} job
+   * @param {any} error Rejection reason, or null to resolve
+   * @param {any} [result]
+   */
+  #settle(job, error, result) {
+    if (this.#settled.has(job)) {
+      return;
+    }
+    this.#settled.add(job);
+    job.detach();
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,87 @@
+/**
+ * @file Worker runner
+ * @description Entry point of WorkerPool threads: loads handler modules and runs one call at a time
+ */
+const { parentPort } = require('worker_threads');
+const { isRpcError } = require('./errors');
+const { decodeFromWorker, encodeForWorker } = require('./worker-boundary');
+
+/** @type {{ id: number, controller: AbortController }|null} */
+let current = null;
+
+/**
+ * Load the handler exported by a module: the module itself, or its
+ * `handler` or `default` export
+ * @param {string} modulePath
+ * @returns {Function}
+ */
+function loadHandler(modulePath) {
+  const exported = module.require(modulePath);
+  const handler =
+    typeof exported === 'function'
+      ? exported
+      : (exported?.handler ?? exported?.default);
+  if (typeof handler !== 'function') {
+    throw new Error(
+      `Offloaded handler module "${modulePath}" must export a function`
+    );
+  }
+  return handler;
+}
+
+/**
+ * Describe a thrown value for the parent thread
+ * @param {any} error
+ * @returns {Object}
+ */
+function describeError(error) {
+  if (!(error instanceof Error) && !isRpcError(error)) {
+    return { message: String(error) };
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    rpc: isRpcError(error),
+    data: encodeForWorker(error.data),
+    stack: error.stack,
+  };
+}
+
+/**
+ * Run one call and report its result or error
+ * @param {Object} message
+ */
+async function run({ id, modulePath, params, call }) {
+  const controller = new AbortController();
+  current = { id, controller };
+  try {
+    const handler = loadHandler(modulePath);
+    const result = await handler(decodeFromWorker(params), {
+      ...call,
+      signal: controller.signal,
+    });
+    parentPort.postMessage({
+      type: 'result',
+      id,
+      result: encodeForWorker(result),
+    });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', id, error: describeError(error) });
+  } finally {
+    current = null;
+  }
+}
+
+parentPort.on('message', (message) => {
+  if (message.type === 'run') {
+    run(message);
+    return;
+  }
+
+  if (message.type === 'cancel' && current?.id === message.id) {
+    const reason = new Error(message.reason.message || 'Call cancelled');
+    reason.name = message.reason.name || 'AbortError';
+    current.controller.abort(reason);
+  }
+});